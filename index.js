@@ -7,19 +7,58 @@ const authRoutes = require('./routes/auth');
 const taskRoutes = require('./routes/tasks');
 const subtaskRoutes = require('./routes/subtasks');
 const taskInstanceRoutes = require('./routes/taskInstances');
+const statsRoutes = require('./routes/stats');
+const calendarRoutes = require('./routes/calendar');
+const importRoutes = require('./routes/import');
+const exportRoutes = require('./routes/export');
+const accountRoutes = require('./routes/account');
+const searchRoutes = require('./routes/search');
+const labelRoutes = require('./routes/labels');
+const reminderRoutes = require('./routes/reminders');
 const adminRoutes = require('./routes/admin');
+const organizationRoutes = require('./routes/organizations');
+const groupRoutes = require('./routes/groups');
+const assignmentRoutes = require('./routes/assignments');
+const webhookRoutes = require('./routes/webhooks');
+const streamRoutes = require('./routes/stream');
+const auditRoutes = require('./routes/audit');
+const trashRoutes = require('./routes/trash');
+const invitationRoutes = require('./routes/invitations');
+const domainRuleRoutes = require('./routes/domainRules');
+const { registerWebhookSubscriber } = require('./services/webhooks');
 
 const app = express();
 
+// Send published events (task.created, ...) to registered webhooks
+registerWebhookSubscriber();
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Account backups are posted as JSON, so allow bodies up to the Lambda payload limit
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '6mb' }));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/labels', labelRoutes);
+app.use('/api/reminders', reminderRoutes);
 app.use('/api/subtasks', subtaskRoutes);
+app.use('/api/trash', trashRoutes);
 app.use('/api/task-instances', taskInstanceRoutes);
+app.use('/api/stats', statsRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/admin/organizations', organizationRoutes);
+app.use('/api/admin/groups', groupRoutes);
+app.use('/api/admin/assignments', assignmentRoutes);
+app.use('/api/admin/webhooks', webhookRoutes);
+app.use('/api/admin/audit', auditRoutes);
+app.use('/api/admin/invitations', invitationRoutes);
+app.use('/api/admin/domain-rules', domainRuleRoutes);
 app.use('/api/admin', adminRoutes);
 
 // Health check
@@ -53,4 +92,15 @@ const connectDB = async () => {
   console.log('MongoDB connected');
 };
 
+// Long-running server (npm start); on Lambda the app is wrapped by lambda.js instead
+if (require.main === module) {
+  const PORT = process.env.PORT || 5000;
+  connectDB()
+    .then(() => app.listen(PORT, () => console.log(`Server running on port ${PORT}`)))
+    .catch((error) => {
+      console.error('Server start error:', error);
+      process.exit(1);
+    });
+}
+
 module.exports = { app, connectDB };
@@ -0,0 +1,43 @@
+const Organization = require('../models/Organization');
+const { hasPermission } = require('../utils/roles');
+
+// Middleware factory to check that the user holds every listed permission (see utils/roles.js),
+// e.g. router.delete('/users/:id', auth, requirePermission('users.delete'), ...)
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+  if (missing.length > 0) {
+    return res.status(403).json({ message: 'Access denied. Missing permission.', missing });
+  }
+  next();
+};
+
+// Middleware to check if user is a super-admin (manages organizations themselves)
+const superAdminAuth = (req, res, next) => {
+  if (!req.user.isSuperAdmin) {
+    return res.status(403).json({ message: 'Access denied. Super-admin privileges required.' });
+  }
+  next();
+};
+
+// Query filter restricting an admin to their own organization.
+// Super-admins are unrestricted; admins without an organization only see unassigned records.
+const orgScope = (req) => {
+  if (req.user.isSuperAdmin) {
+    return {};
+  }
+  return { organization: req.user.organization || null };
+};
+
+// Organization a new record goes into: always the admin's own, except that super-admins may
+// name one with `organizationId` (null for none). Returns { organization } or { error }.
+const targetOrganization = async (req, organizationId) => {
+  if (!req.user.isSuperAdmin || organizationId === undefined) {
+    return { organization: req.user.organization || null };
+  }
+  if (organizationId && !(await Organization.exists({ _id: organizationId }))) {
+    return { error: 'Organization not found' };
+  }
+  return { organization: organizationId || null };
+};
+
+module.exports = { requirePermission, superAdminAuth, orgScope, targetOrganization };
@@ -1,7 +1,27 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
-const auth = async (req, res, next) => {
+// Response for users who may not use the API right now, or null
+const accountBlock = (user, { allowPasswordChange }) => {
+  if (user.status === 'suspended') {
+    return {
+      message: 'Your account has been suspended. Please contact your administrator.',
+      code: 'ACCOUNT_SUSPENDED'
+    };
+  }
+  if (user.passwordResetRequired && !allowPasswordChange) {
+    return {
+      message: 'You must change your password before continuing.',
+      code: 'PASSWORD_RESET_REQUIRED'
+    };
+  }
+  return null;
+};
+
+// `allowPasswordChange` lets through users who still have to change their password,
+// for the few routes they need to do that (see auth.allowPasswordChange below)
+const authenticate = ({ allowPasswordChange = false } = {}) => async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -20,13 +40,25 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Invalid token type.' });
     }
     
+    // Access tokens are only valid while their session has not been revoked
+    const session = decoded.sid && await Session.findOne({ _id: decoded.sid, userId: decoded.userId });
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ message: 'Session expired or revoked. Please login again.' });
+    }
+    
     const user = await User.findById(decoded.userId);
     
     if (!user) {
       return res.status(401).json({ message: 'Invalid token. User not found.' });
     }
 
+    const block = accountBlock(user, { allowPasswordChange });
+    if (block) {
+      return res.status(403).json(block);
+    }
+
     req.user = user;
+    req.session = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -43,4 +75,8 @@ const auth = async (req, res, next) => {
   }
 };
 
+const auth = authenticate();
+auth.allowPasswordChange = authenticate({ allowPasswordChange: true });
+auth.accountBlock = accountBlock;
+
 module.exports = auth;
\ No newline at end of file
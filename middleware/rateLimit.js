@@ -0,0 +1,46 @@
+const { getStore } = require('../services/rateLimit');
+const { recordAudit } = require('../services/audit');
+
+// Keys for rateLimit(): the client's IP, or the account named in the request body
+const byIp = (req) => req.ip;
+const byEmail = (req) => (typeof req.body.email === 'string' ? req.body.email.toLowerCase() : null);
+
+// "45 seconds" / "15 minutes"
+const formatWait = (seconds) => (seconds < 60
+  ? `${seconds} second${seconds === 1 ? '' : 's'}`
+  : `${Math.ceil(seconds / 60)} minute${Math.ceil(seconds / 60) === 1 ? '' : 's'}`);
+
+// Middleware factory allowing `max` requests per key in each window of `windowMinutes`, e.g.
+// rateLimit({ name: 'login:ip', max: 20, windowMinutes: 15, key: byIp }). Place it after the
+// validators so body fields are normalized. The first request over the limit is audited.
+// Store errors let the request through rather than locking everyone out.
+const rateLimit = ({ name, max, windowMinutes, key, type = 'ip' }) => async (req, res, next) => {
+  let result;
+  const id = key(req);
+  if (!id) return next();
+
+  try {
+    result = await getStore().increment(`${name}:${id}`, windowMinutes * 60 * 1000);
+  } catch (error) {
+    console.error(`Rate limit store error (${name}):`, error);
+    return next();
+  }
+  if (result.count <= max) return next();
+
+  if (result.count === max + 1) {
+    await recordAudit(req, {
+      action: 'auth.rate_limited',
+      target: { type, label: id },
+      after: { limit: name, max, windowMinutes }
+    });
+  }
+
+  const retryAfter = Math.max(1, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    message: `Too many attempts. Please try again in ${formatWait(retryAfter)}.`,
+    retryAfter
+  });
+};
+
+module.exports = { rateLimit, byIp, byEmail };
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A task handed out by an admin to many users at once. Each recipient gets
+// their own Task (linked back through Task.assignment) so the whole batch can
+// be edited or withdrawn together.
+const assignmentSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [200, 'Task title cannot exceed 200 characters']
+  },
+  startDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  recurrence: {
+    type: String,
+    default: null
+  },
+  recurrenceExceptions: [{
+    type: Date
+  }],
+  subtasks: [{
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [150, 'Subtask title cannot exceed 150 characters']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters']
+    }
+  }],
+  recipients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Group the recipients were taken from, if any
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserGroup',
+    default: null
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // null once the account that created it has been deleted
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  withdrawnAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+assignmentSchema.index({ organization: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Assignment', assignmentSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Append-only record of an administrative action or sensitive auth event (see services/audit.js)
+const auditLogSchema = new mongoose.Schema({
+  // Who did it; name and email are copied so entries stay readable after the user is deleted
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    name: {
+      type: String,
+      default: ''
+    },
+    email: {
+      type: String,
+      default: ''
+    }
+  },
+  // e.g. "user.delete", "whitelist.add", "auth.password_reset"
+  action: {
+    type: String,
+    required: true
+  },
+  // What it was done to
+  target: {
+    type: {
+      type: String,
+      required: true
+    },
+    id: {
+      type: String,
+      default: null
+    },
+    label: {
+      type: String,
+      default: ''
+    }
+  },
+  // Organization the action belongs to, for scoping admin queries
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Snapshots of the target before and after the change (null for creations / deletions)
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for efficient queries
+auditLogSchema.index({ organization: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+// Entries can be added but never changed or removed through the application
+const appendOnly = function() {
+  throw new Error('Audit log entries cannot be modified or deleted');
+};
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  appendOnly
+);
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified or deleted'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../utils/roles');
+
+// Lets anyone with an email address at a domain register without being whitelisted
+// one by one, e.g. every "@afterlife.org.in" address joins the Afterlife organization.
+const domainRuleSchema = new mongoose.Schema({
+  // Matched exactly against the part after "@" (subdomains need their own rule)
+  domain: {
+    type: String,
+    required: [true, 'Domain is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^([a-z0-9-]+\.)+[a-z]{2,}$/, 'Please enter a valid domain such as example.com']
+  },
+  // Organization users join when they register through this rule
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Role those users start with
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'member'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // null once the account that created it has been deleted
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+domainRuleSchema.index({ organization: 1 });
+
+// Active rule covering an email address, if any
+domainRuleSchema.statics.findForEmail = function(email) {
+  const domain = email.split('@').pop().toLowerCase();
+  return this.findOne({ domain, active: true });
+};
+
+module.exports = mongoose.model('DomainRule', domainRuleSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { ROLES } = require('../utils/roles');
+
+// An emailed link that lets one person register without a whitelist entry.
+// The link carries a signed token naming this invitation (see services/invitations.js);
+// revoking or accepting the invitation makes the token useless before it expires.
+const generateNonce = () => crypto.randomBytes(12).toString('hex');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  // Organization the user joins on registration
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Role the user starts with
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'member'
+  },
+  // Assignments the user is added to on registration (each one becomes a task for them)
+  assignments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment'
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Part of the signed token; replaced when the invitation is resent so older links stop working
+  nonce: {
+    type: String,
+    default: generateNonce,
+    select: false
+  },
+  // null once the account that created it has been deleted
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.nonce;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Index for efficient queries
+invitationSchema.index({ organization: 1, createdAt: -1 });
+invitationSchema.index({ email: 1 });
+
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+invitationSchema.methods.isPending = function() {
+  return this.status === 'pending';
+};
+
+// Invalidate every link issued so far (a new token must be signed afterwards)
+invitationSchema.methods.rotateNonce = function() {
+  this.nonce = generateNonce();
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
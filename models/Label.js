@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const labelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Label name is required'],
+    trim: true,
+    maxlength: [50, 'Label name cannot exceed 50 characters']
+  },
+  // Hex color, e.g. #4caf50
+  color: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: '#9e9e9e',
+    match: [/^#[0-9a-f]{6}$/, 'Color must be a hex color like #4caf50']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Label names are unique per user
+labelSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Static method to list the IDs in `labelIds` that are not labels of the user
+labelSchema.statics.findInvalidIds = async function(userId, labelIds) {
+  const labels = await this.find({ _id: { $in: labelIds }, userId }).select('_id');
+  const found = new Set(labels.map(l => l._id.toString()));
+  return labelIds.filter(id => !found.has(id.toString()));
+};
+
+// Static method to turn ?tags=work,health&tagMode=all|any into a Task query condition.
+// Returns null when no tags are given. Unknown names match nothing.
+labelSchema.statics.tagFilter = async function(userId, { tags, tagMode }) {
+  const names = [...new Set(String(tags || '').split(',').map(name => name.trim()).filter(Boolean))];
+  if (names.length === 0) {
+    return null;
+  }
+
+  const labels = await this.find({ userId, name: { $in: names } }).select('_id');
+  const labelIds = labels.map(l => l._id);
+
+  if (tagMode === 'all') {
+    // Every tag must be on the task, so an unknown tag rules out all tasks
+    return labelIds.length === names.length ? { labels: { $all: labelIds } } : { labels: { $in: [] } };
+  }
+  return { labels: { $in: labelIds } };
+};
+
+module.exports = mongoose.model('Label', labelSchema);
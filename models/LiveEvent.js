@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Live update passed between server instances by the mongo broker (services/live/mongo.js).
+// Only needed until every instance has seen it, so it expires quickly.
+const liveEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  channels: {
+    type: [String],
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60
+  }
+});
+
+module.exports = mongoose.model('LiveEvent', liveEventSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One rate-limit window used by the mongo store (services/rateLimit/mongo.js):
+// how many hits `key` has had since the window opened. Removed once the window is over.
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Expired windows are removed by MongoDB automatically
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
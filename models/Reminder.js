@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { DUE_TIME_PATTERN } = require('../utils/taskSort');
+
+// Longest "before due" offset: one week
+const MAX_REMINDER_OFFSET_MINUTES = 7 * 24 * 60;
+
+// A per-task reminder. Kinds:
+//   before_due - `offsetMinutes` before the task is due on each of its days
+//   daily      - at `time` (user's time zone) on each of the task's days
+// The scheduler (see services/reminders.js) sends it when `nextRunAt` has passed.
+const reminderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['before_due', 'daily'],
+    required: true
+  },
+  offsetMinutes: {
+    type: Number,
+    min: [0, 'Offset cannot be negative'],
+    max: [MAX_REMINDER_OFFSET_MINUTES, 'Offset cannot exceed one week'],
+    default: 0
+  },
+  time: {
+    type: String,
+    default: null,
+    match: [DUE_TIME_PATTERN, 'Time must be in HH:mm format'],
+    validate: {
+      validator: function(value) {
+        return this.kind !== 'daily' || Boolean(value);
+      },
+      message: 'Daily reminders require a time'
+    }
+  },
+  // Skip the reminder when that day of the task is already done
+  onlyIfIncomplete: {
+    type: Boolean,
+    default: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'webhook'],
+    default: 'email'
+  },
+  webhookUrl: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return this.channel !== 'webhook' || Boolean(value);
+      },
+      message: 'Webhook reminders require a webhook URL'
+    }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Next send time and the task day (YYYY-MM-DD) it is for; null when nothing is left to send
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  nextOccurrence: {
+    type: String,
+    default: null
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+reminderSchema.index({ enabled: 1, nextRunAt: 1 });
+reminderSchema.index({ userId: 1, taskId: 1 });
+reminderSchema.index({ taskId: 1 });
+
+module.exports = mongoose.model('Reminder', reminderSchema);
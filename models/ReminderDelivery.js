@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_LOG_TTL_DAYS = Number(process.env.DELIVERY_LOG_TTL_DAYS) || 90;
+
+// One attempt (or deliberate skip) of a reminder, kept as a delivery log
+const reminderDeliverySchema = new mongoose.Schema({
+  reminderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reminder',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'webhook'],
+    required: true
+  },
+  // Task day (YYYY-MM-DD) the reminder was for and when it was due to go out
+  occurrenceDate: {
+    type: String,
+    default: null
+  },
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'skipped'],
+    required: true
+  },
+  // Why a delivery was skipped, or the transport error
+  reason: {
+    type: String,
+    default: null
+  },
+  transport: {
+    type: String,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+reminderDeliverySchema.index({ userId: 1, createdAt: -1 });
+reminderDeliverySchema.index({ reminderId: 1, createdAt: -1 });
+// Old log entries are removed by MongoDB automatically
+reminderDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_LOG_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ReminderDelivery', reminderDeliverySchema);
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const ADMIN_CODE_TTL_HOURS = 24;
+const SELF_SERVICE_CODE_TTL_MINUTES = Number(process.env.RESET_CODE_TTL_MINUTES) || 30;
+// Wrong guesses for an email after which its code stops working
+const MAX_FAILED_ATTEMPTS = Number(process.env.RESET_CODE_MAX_ATTEMPTS) || 5;
 
 const resetCodeSchema = new mongoose.Schema({
   code: {
@@ -12,10 +18,16 @@ const resetCodeSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // Admin who generated the code; null for codes the user requested (forgot password)
   generatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['admin', 'self_service'],
+    default: 'admin'
   },
   isUsed: {
     type: Boolean,
@@ -25,10 +37,20 @@ const resetCodeSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Wrong codes entered for this email while this code was active
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Set when too many wrong guesses used the code up
+  invalidatedAt: {
+    type: Date,
+    default: null
+  },
   expiresAt: {
     type: Date,
     required: true,
-    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours from now
+    default: () => new Date(Date.now() + ADMIN_CODE_TTL_HOURS * 60 * 60 * 1000) // 24 hours from now
   }
 }, {
   timestamps: true
@@ -39,4 +61,54 @@ resetCodeSchema.index({ code: 1, isUsed: 1 });
 resetCodeSchema.index({ email: 1, isUsed: 1 });
 resetCodeSchema.index({ expiresAt: 1 });
 
+// Random 6-digit code
+const generateCode = () => crypto.randomInt(100000, 1000000).toString();
+
+// Static method to issue a new code for an email, expiring the unused codes it replaces.
+// `generatedBy` is the admin for admin-generated codes, or null for self-service requests.
+// Admin codes replace every earlier code; self-service requests only replace earlier
+// self-service codes, so anyone typing an email into the form can't cancel an admin's code.
+resetCodeSchema.statics.issue = async function(email, generatedBy = null) {
+  await this.updateMany(
+    generatedBy ? { email, isUsed: false } : { email, isUsed: false, source: 'self_service' },
+    { isUsed: true, usedAt: new Date() }
+  );
+
+  // Codes are unique across all records
+  let code;
+  do {
+    code = generateCode();
+  } while (await this.exists({ code }));
+
+  const resetCode = new this({
+    code,
+    email,
+    generatedBy,
+    source: generatedBy ? 'admin' : 'self_service'
+  });
+  if (!generatedBy) {
+    resetCode.expiresAt = new Date(Date.now() + SELF_SERVICE_CODE_TTL_MINUTES * 60 * 1000);
+  }
+
+  await resetCode.save();
+  return resetCode;
+};
+
+// Count a wrong code entered for an email against each of its active codes (an admin code and a
+// self-service one can be active together), and invalidate codes after too many.
+// Returns the codes that have just been invalidated.
+resetCodeSchema.statics.recordFailedAttempt = async function(email, now = new Date()) {
+  const active = { email, isUsed: false, expiresAt: { $gt: now } };
+  await this.updateMany(active, { $inc: { failedAttempts: 1 } });
+
+  const spent = await this.find({ ...active, failedAttempts: { $gte: MAX_FAILED_ATTEMPTS } });
+  if (spent.length === 0) return [];
+
+  await this.updateMany(
+    { _id: { $in: spent.map(code => code._id) }, isUsed: false },
+    { isUsed: true, usedAt: now, invalidatedAt: now }
+  );
+  return spent;
+};
+
 module.exports = mongoose.model('ResetCode', resetCodeSchema);
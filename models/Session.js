@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only hashes of refresh tokens are stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hash of the token this one replaced, used to detect refresh token reuse
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// Expired sessions are removed by MongoDB automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Start a new session for a user; returns the session and its plain refresh token
+sessionSchema.statics.issue = async function(userId, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await this.create({
+    userId,
+    refreshTokenHash: this.hashToken(refreshToken),
+    userAgent: (req && req.get('User-Agent')) || '',
+    ip: (req && req.ip) || ''
+  });
+  return { session, refreshToken };
+};
+
+// Revoke every active session of a user (logout everywhere, password reset, deletion)
+sessionSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Replace the refresh token with a new one; returns the new plain token
+sessionSchema.methods.rotate = async function(req) {
+  const refreshToken = generateRefreshToken();
+  this.previousTokenHash = this.refreshTokenHash;
+  this.refreshTokenHash = this.constructor.hashToken(refreshToken);
+  this.lastUsedAt = new Date();
+  if (req) {
+    this.userAgent = req.get('User-Agent') || this.userAgent;
+    this.ip = req.ip || this.ip;
+  }
+  await this.save();
+  return refreshToken;
+};
+
+// Hide token hashes from API output
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.refreshTokenHash;
+  delete session.previousTokenHash;
+  return session;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
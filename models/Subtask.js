@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const subtaskSchema = new mongoose.Schema({
   title: {
@@ -25,7 +26,13 @@ const subtaskSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Deleting moves a subtask to the trash (see services/trash.js)
+subtaskSchema.plugin(softDelete);
+
 // Index for efficient queries
 subtaskSchema.index({ taskId: 1 });
 
+// Full-text search over titles and notes (titles rank higher)
+subtaskSchema.index({ title: 'text', notes: 'text' }, { weights: { title: 2, notes: 1 } });
+
 module.exports = mongoose.model('Subtask', subtaskSchema);
\ No newline at end of file
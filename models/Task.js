@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { parseRRule, validateRRule, occursOn, expandOccurrences, dayNumberFromKey, keyFromDayNumber } = require('../utils/recurrence');
+const { dateFromKey, keyFromDate, addDays, zonedTimeToUtc } = require('../utils/timezone');
+const { PRIORITY_LEVELS, DUE_TIME_PATTERN } = require('../utils/taskSort');
+const softDelete = require('./plugins/softDelete');
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -15,6 +19,21 @@ const taskSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  priority: {
+    type: String,
+    enum: {
+      values: PRIORITY_LEVELS,
+      message: `Priority must be one of: ${PRIORITY_LEVELS.join(', ')}`
+    },
+    default: 'none'
+  },
+  // Time of day ("HH:mm", user's time zone) the task is due on each of its days.
+  // Static tasks with a due time are due every day at that time.
+  dueTime: {
+    type: String,
+    default: null,
+    match: [DUE_TIME_PATTERN, 'Due time must be in HH:mm format']
+  },
   startDate: {
     type: Date,
     required: false, // Made optional for static tasks
@@ -35,74 +54,186 @@ const taskSchema = new mongoose.Schema({
       message: 'End date must be after or equal to start date'
     }
   },
+  // RFC 5545 RRULE (e.g. "FREQ=WEEKLY;BYDAY=MO,TH"). startDate acts as DTSTART and
+  // endDate, when set, as the last possible day. Null means every day in the range.
+  recurrence: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || validateRRule(value) === null;
+      },
+      message: props => `Invalid recurrence rule: ${validateRRule(props.value)}`
+    }
+  },
+  // Days skipped by the recurrence rule (EXDATE)
+  recurrenceExceptions: [{
+    type: Date
+  }],
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: false // Optional field to track if task was created by admin
   },
+  // UID of the calendar entry the task was imported from, used to skip duplicates
+  externalUid: {
+    type: String,
+    default: null
+  },
+  // Bulk assignment this task was created from, if any
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    default: null
+  },
   subtasks: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Subtask'
+  }],
+  // User-defined labels (tags) attached to the task
+  labels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Label'
   }]
 }, {
   timestamps: true
 });
 
+// Deleting moves a task to the trash (see services/trash.js)
+taskSchema.plugin(softDelete);
+
 // Index for efficient queries
 taskSchema.index({ userId: 1, startDate: 1, endDate: 1 });
+taskSchema.index({ organization: 1 });
+taskSchema.index({ assignment: 1 });
+taskSchema.index({ userId: 1, externalUid: 1 });
+taskSchema.index({ userId: 1, labels: 1 });
+
+// Full-text search over titles (see routes/search.js)
+taskSchema.index({ title: 'text' });
 
-// Virtual to check if task is active for a given date
+// Task dates are stored as UTC midnight of their calendar day (see utils/timezone)
+const toDayNumber = (date) => dayNumberFromKey(typeof date === 'string' ? date : keyFromDate(date));
+
+// Check if task is active for a given date (YYYY-MM-DD key or stored calendar Date)
 taskSchema.methods.isActiveOnDate = function(date) {
-  // If no dates are set, it's a static task (not date-based)
-  if (!this.startDate || !this.endDate) {
+  // If there is no start date, it's a static task (not date-based)
+  if (!this.startDate || (!this.endDate && !this.recurrence)) {
     return false;
   }
-  
-  const checkDate = new Date(date);
-  checkDate.setHours(0, 0, 0, 0);
-  
-  const start = new Date(this.startDate);
-  start.setHours(0, 0, 0, 0);
-  
-  const end = new Date(this.endDate);
-  end.setHours(23, 59, 59, 999);
-  
-  return checkDate >= start && checkDate <= end;
+
+  const target = toDayNumber(date);
+  const start = toDayNumber(this.startDate);
+
+  if (target < start || (this.endDate && target > toDayNumber(this.endDate))) {
+    return false;
+  }
+
+  if (!this.recurrence) {
+    return true;
+  }
+
+  const exceptions = (this.recurrenceExceptions || []).map(toDayNumber);
+  return occursOn(parseRRule(this.recurrence), start, target, exceptions);
 };
 
-// Static method to find tasks for a specific date
-taskSchema.statics.findTasksForDate = function(userId, date) {
-  // Parse date string to avoid timezone issues
-  let targetDate;
-  if (typeof date === 'string') {
-    const [year, month, day] = date.split('-').map(Number);
-    targetDate = new Date(year, month - 1, day);
-  } else {
-    targetDate = new Date(date);
+// List the calendar days (YYYY-MM-DD keys) the task is active on between two keys, inclusive
+taskSchema.methods.occurrencesBetween = function(fromKey, toKey) {
+  if (!this.startDate || (!this.endDate && !this.recurrence)) {
+    return [];
   }
+
+  const start = toDayNumber(this.startDate);
+  const from = Math.max(dayNumberFromKey(fromKey), start);
+  const to = this.endDate ? Math.min(dayNumberFromKey(toKey), toDayNumber(this.endDate)) : dayNumberFromKey(toKey);
+
+  if (!this.recurrence) {
+    const days = [];
+    for (let day = from; day <= to; day++) {
+      days.push(keyFromDayNumber(day));
+    }
+    return days;
+  }
+
+  const exceptions = (this.recurrenceExceptions || []).map(toDayNumber);
+  return expandOccurrences(parseRRule(this.recurrence), start, from, to, exceptions).map(keyFromDayNumber);
+};
+
+// Instant the task is due on a calendar day (YYYY-MM-DD key) in the user's time zone:
+// its due time, or the end of the day when it has none
+taskSchema.methods.dueAt = function(dateKey, timezone) {
+  return this.dueTime
+    ? zonedTimeToUtc(dateKey, this.dueTime, timezone)
+    : zonedTimeToUtc(addDays(dateKey, 1), '00:00', timezone);
+};
+
+// Static method to find tasks for a calendar day, expanding recurrence rules.
+// Callers resolve "which day" in the user's time zone and pass a YYYY-MM-DD key.
+// `filter` adds conditions such as a tag filter (see Label.tagFilter).
+taskSchema.statics.findTasksForDate = async function(userId, date, filter = {}) {
+  const dateKey = typeof date === 'string' ? date : keyFromDate(date);
+
+  const startOfDay = dateFromKey(dateKey);
+  const endOfDay = new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000 - 1);
   
-  const startOfDay = new Date(targetDate);
-  startOfDay.setHours(0, 0, 0, 0);
-  
-  const endOfDay = new Date(targetDate);
-  endOfDay.setHours(23, 59, 59, 999);
-  
-  console.log('Task Model: Finding tasks for user:', userId, 'date range:', startOfDay, 'to', endOfDay);
+  console.log('Task Model: Finding tasks for user:', userId, 'date:', dateKey);
   
+  // Candidates are tasks whose range covers the day; recurring tasks may be open-ended
   const query = {
+    ...filter,
     userId,
     startDate: { $lte: endOfDay, $ne: null },
-    endDate: { $gte: startOfDay, $ne: null }
+    $or: [
+      { endDate: { $gte: startOfDay, $ne: null } },
+      { endDate: null, recurrence: { $ne: null } }
+    ]
   };
   
   console.log('Task Model: Query:', JSON.stringify(query, null, 2));
   
-  return this.find(query).populate('subtasks').sort({ order: 1, createdAt: -1 }); // Sort by order first, then by newest
+  const tasks = await this.find(query)
+    .populate('subtasks')
+    .populate('labels', 'name color')
+    .sort({ order: 1, createdAt: -1 }); // Sort by order first, then by newest
+  return tasks.filter(task => task.isActiveOnDate(dateKey));
+};
+
+// Static method to find static tasks (tasks without dates or recurrence)
+taskSchema.statics.findStaticTasks = function(userId, filter = {}) {
+  return this.find({
+    ...filter,
+    userId,
+    recurrence: null,
+    $or: [
+      { startDate: null },
+      { endDate: null },
+      { $and: [{ startDate: { $exists: false } }, { endDate: { $exists: false } }] }
+    ]
+  });
+};
+
+// Static method to get the next order number: after the day's tasks for
+// date-based tasks (by start date), or after all static tasks
+taskSchema.statics.getNextOrder = async function(userId, startDate) {
+  const existingTasks = startDate
+    ? await this.findTasksForDate(userId, startDate)
+    : await this.findStaticTasks(userId);
+
+  if (existingTasks.length === 0) {
+    return 1;
+  }
+  return Math.max(...existingTasks.map(t => t.order || 0)) + 1;
 };
 
 module.exports = mongoose.model('Task', taskSchema);
\ No newline at end of file
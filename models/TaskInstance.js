@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { dateFromKey, keyFromDate } = require('../utils/timezone');
+const softDelete = require('./plugins/softDelete');
 
 const taskInstanceSchema = new mongoose.Schema({
   taskId: {
@@ -11,6 +13,7 @@ const taskInstanceSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Calendar day of the instance, stored as UTC midnight (see utils/timezone)
   date: {
     type: Date,
     required: true
@@ -29,15 +32,102 @@ const taskInstanceSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     }
+  }],
+  // Entries of subtasks in the trash, moved back to subtaskInstances when they are restored
+  trashedSubtaskInstances: [{
+    subtaskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subtask',
+      required: true
+    },
+    completed: {
+      type: Boolean,
+      default: false
+    }
   }]
 }, {
   timestamps: true
 });
 
+// Instances of a trashed task are trashed with it and come back when it is restored
+taskInstanceSchema.plugin(softDelete);
+
 // Compound index to ensure one instance per task per day per user
 taskInstanceSchema.index({ taskId: 1, userId: 1, date: 1 }, { unique: true });
 
 // Index for efficient queries
 taskInstanceSchema.index({ userId: 1, date: 1 });
 
+// Static method to get or create the task instance for a calendar day.
+// `date` is a YYYY-MM-DD key (already resolved in the user's time zone) or a stored calendar Date.
+taskInstanceSchema.statics.getOrCreate = async function(taskId, userId, date) {
+  const targetDate = dateFromKey(typeof date === 'string' ? date : keyFromDate(date));
+
+  let instance = await this.findOne({
+    taskId,
+    userId,
+    date: targetDate
+  });
+
+  // Get the task and its current subtasks
+  const task = await mongoose.model('Task').findById(taskId).populate('subtasks');
+  if (!task) {
+    throw new Error('Task not found');
+  }
+
+  if (!instance) {
+    // Create new instance with all current subtasks
+    const subtaskInstances = task.subtasks.map(subtask => ({
+      subtaskId: subtask._id,
+      completed: false
+    }));
+
+    instance = new this({
+      taskId,
+      userId,
+      date: targetDate,
+      completed: false,
+      subtaskInstances
+    });
+
+    await instance.save();
+  } else {
+    // Sync existing instance with current subtasks
+    const currentSubtaskIds = new Set(task.subtasks.map(st => st._id.toString()));
+    const instanceSubtaskIds = new Set(instance.subtaskInstances.map(si => si.subtaskId.toString()));
+    
+    let needsUpdate = false;
+    
+    // Add missing subtask instances
+    for (const subtask of task.subtasks) {
+      if (!instanceSubtaskIds.has(subtask._id.toString())) {
+        instance.subtaskInstances.push({
+          subtaskId: subtask._id,
+          completed: false
+        });
+        needsUpdate = true;
+        console.log(`Added missing subtask instance: ${subtask.title}`);
+      }
+    }
+    
+    // Remove subtask instances for deleted subtasks
+    const originalLength = instance.subtaskInstances.length;
+    instance.subtaskInstances = instance.subtaskInstances.filter(si => 
+      currentSubtaskIds.has(si.subtaskId.toString())
+    );
+    
+    if (instance.subtaskInstances.length !== originalLength) {
+      needsUpdate = true;
+      console.log(`Removed ${originalLength - instance.subtaskInstances.length} obsolete subtask instances`);
+    }
+    
+    if (needsUpdate) {
+      await instance.save();
+      console.log(`Synced task instance with current subtasks`);
+    }
+  }
+
+  return instance;
+};
+
 module.exports = mongoose.model('TaskInstance', taskInstanceSchema);
\ No newline at end of file
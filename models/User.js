@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezone');
+const { ROLES, roleRank } = require('../utils/roles');
+
+// Progressive lockout: from the LOGIN_LOCKOUT_THRESHOLD-th failed login in a row, each failure
+// locks the account for twice as long as the previous one (1, 2, 4, ... minutes, up to the maximum)
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MINUTES = 1;
+const LOCKOUT_MAX_MINUTES = Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -21,14 +29,94 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // Role within the organization, mapped to permissions in utils/roles.js. Accounts saved
+  // before roles existed have none stored: they read as admin if they had the old admin flag,
+  // so admins keep their access whether or not scripts/migrateRoles.js has run yet.
+  role: {
+    type: String,
+    enum: ROLES,
+    default: function() {
+      return this.isAdmin ? 'admin' : 'member';
+    }
+  },
+  // Kept in sync with role for clients: true for every role above member
   isAdmin: {
     type: Boolean,
     default: false
+  },
+  // Super-admins manage organizations and are not limited to one
+  isSuperAdmin: {
+    type: Boolean,
+    default: false
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Secret for the read-only iCalendar feed URL (null when the feed is disabled)
+  calendarToken: {
+    type: String,
+    default: null
+  },
+  // IANA time zone used for every "today" / day-boundary calculation
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid time zone`
+    }
+  },
+  // Suspended users keep their data but cannot sign in or use the API
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active'
+  },
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Suspension reason cannot exceed 200 characters'],
+    default: null
+  },
+  // Set by an admin; the user must choose a new password before doing anything else
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+  // Failed logins since the last successful one, and the lockout they caused
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Set when the user asked to delete their account; everything is removed at this time
+  // unless they cancel first (see services/accounts.js)
+  deletionScheduledFor: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
+// Index for efficient queries
+userSchema.index({ organization: 1 });
+userSchema.index({ calendarToken: 1 }, { unique: true, partialFilterExpression: { calendarToken: { $type: 'string' } } });
+userSchema.index({ deletionScheduledFor: 1 }, { partialFilterExpression: { deletionScheduledFor: { $type: 'date' } } });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -42,24 +130,52 @@ userSchema.pre('save', async function(next) {
   }
 });
 
-// Set admin status for specific email
+// Derive the admin flag from the role (left alone on accounts whose role has not been
+// migrated yet, whose role is derived from the flag instead)
 userSchema.pre('save', function(next) {
-  // Automatically set admin status for the admin email
-  if (this.email === 'admin@afterlife.org.in') {
-    this.isAdmin = true;
+  if (this.isNew || this.isModified('role')) {
+    this.isAdmin = roleRank(this.role) > roleRank('member');
   }
   next();
 });
 
+// Query condition for admins and owners, counting unmigrated admins without a stored role
+userSchema.statics.adminFilter = function() {
+  return { $or: [{ role: { $in: ['admin', 'owner'] } }, { role: { $exists: false }, isAdmin: true }] };
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.methods.isLocked = function(now = new Date()) {
+  return Boolean(this.lockedUntil && this.lockedUntil > now);
+};
+
+// Count a failed login (atomically, so parallel guesses all count) and lock the account once
+// the threshold is reached. Returns the new lock end, or null if the account is not locked.
+userSchema.methods.recordFailedLogin = async function(now = new Date()) {
+  const { failedLoginAttempts } = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  );
+
+  const over = failedLoginAttempts - LOCKOUT_THRESHOLD;
+  if (over < 0) return null;
+
+  const minutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** over, LOCKOUT_MAX_MINUTES);
+  const lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+  await this.constructor.updateOne({ _id: this._id }, { lockedUntil });
+  return lockedUntil;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.calendarToken;
   return user;
 };
 
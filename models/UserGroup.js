@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const userGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: [100, 'Group name cannot exceed 100 characters']
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // null once the account that created it has been deleted
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Group names are unique within an organization
+userGroupSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('UserGroup', userGroupSchema);
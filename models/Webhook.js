@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { EVENT_TYPES } = require('../services/events');
+
+// An outgoing webhook endpoint registered by an admin for their organization's events
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  // Event types to send; "*" subscribes to all of them
+  events: {
+    type: [{
+      type: String,
+      enum: [...EVENT_TYPES, '*']
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'Subscribe to at least one event'
+    }
+  },
+  // Shared secret for the HMAC signature, only shown when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // null once the account that created it has been deleted
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+webhookSchema.index({ organization: 1, active: 1 });
+
+webhookSchema.statics.generateSecret = function() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+// Whether the webhook wants events of this type
+webhookSchema.methods.subscribesTo = function(type) {
+  return this.events.includes('*') || this.events.includes(type);
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_LOG_TTL_DAYS = Number(process.env.DELIVERY_LOG_TTL_DAYS) || 90;
+
+// One event sent (or being retried) to one webhook
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // The exact JSON body that is signed and sent
+  payload: {
+    type: String,
+    required: true
+  },
+  // pending until it succeeds or runs out of attempts
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  // Set when an admin redelivered an earlier delivery
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+// Old deliveries are removed by MongoDB automatically
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_LOG_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -9,10 +9,17 @@ const whitelistSchema = new mongoose.Schema({
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Organization the user joins when registering with this email
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // null once the account that created it has been deleted
   addedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    default: null
   },
   isUsed: {
     type: Boolean,
@@ -27,4 +34,7 @@ const whitelistSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Index for efficient queries
+whitelistSchema.index({ organization: 1 });
+
 module.exports = mongoose.model('Whitelist', whitelistSchema);
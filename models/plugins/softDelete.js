@@ -0,0 +1,35 @@
+// Soft delete for a schema: adds `deletedAt` and hides trashed documents from reads.
+// A query that names `deletedAt` itself (e.g. { deletedAt: { $ne: null } } for the trash) is left
+// alone. Updates and deletes are not filtered, so cascades and bulk moves still reach the trash.
+const READ_OPERATIONS = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'findOneAndReplace'];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    }
+  });
+  schema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+  schema.pre(READ_OPERATIONS, function() {
+    if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  // Merged into the first $match so a $text match can stay the first stage
+  schema.pre('aggregate', function() {
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    if (first && first.$match) {
+      if (!Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) {
+        first.$match = { ...first.$match, deletedAt: null };
+      }
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+};
+
+module.exports = softDelete;
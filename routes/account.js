@@ -0,0 +1,249 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Label = require('../models/Label');
+const Task = require('../models/Task');
+const Subtask = require('../models/Subtask');
+const TaskInstance = require('../models/TaskInstance');
+const Reminder = require('../models/Reminder');
+const auth = require('../middleware/auth');
+const { isValidTimeZone } = require('../utils/timezone');
+const { buildArchive, migrateArchive, remapArchive } = require('../utils/backup');
+const { notify } = require('../services/live');
+const { getTransport } = require('../services/transports');
+const { recordAudit } = require('../services/audit');
+const { ACCOUNT_DELETION_GRACE_DAYS, deleteUserAccount, deletionDate } = require('../services/accounts');
+
+const router = express.Router();
+
+const isDryRun = (req) => ['true', '1', 'yes'].includes(String(req.query.dryRun).toLowerCase());
+
+// Mongoose validation errors of one document as { path, message } entries
+const documentErrors = (doc, path) => {
+  const result = doc.validateSync();
+  if (!result) return [];
+  return Object.values(result.errors).map(err => ({ path: `${path}.${err.path}`, message: err.message }));
+};
+
+// @route   GET /api/account/export
+// @desc    Download a JSON backup of the current user's profile, labels, tasks, subtasks and task instances
+// @access  Private
+router.get('/export', auth, async (req, res) => {
+  try {
+    const labels = await Label.find({ userId: req.user._id }).sort({ name: 1 });
+    const tasks = await Task.find({ userId: req.user._id })
+      .populate('subtasks')
+      .sort({ order: 1, createdAt: -1 });
+    const instances = await TaskInstance.find({ userId: req.user._id }).sort({ date: 1 });
+
+    const archive = buildArchive(req.user, labels, tasks, instances);
+
+    res.set('Content-Disposition', `attachment; filename="organix-backup-${archive.exportedAt.slice(0, 10)}.json"`);
+    res.json(archive);
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({ message: 'Server error while exporting account' });
+  }
+});
+
+// @route   POST /api/account/import
+// @desc    Restore a JSON backup into the current account with new IDs.
+//          ?mode=merge (default) keeps existing tasks, ?mode=replace deletes them first.
+//          Labels are matched to existing ones by name.
+//          ?profile=true also restores name and time zone. ?dryRun=true validates only.
+// @access  Private
+router.post('/import', auth, async (req, res) => {
+  try {
+    const mode = req.query.mode || 'merge';
+    if (!['merge', 'replace'].includes(mode)) {
+      return res.status(400).json({ message: 'Mode must be "merge" or "replace"' });
+    }
+
+    const { error, archive } = migrateArchive(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const existingLabels = await Label.find({ userId: req.user._id }).select('name');
+    const plan = remapArchive(archive, {
+      userId: req.user._id,
+      organization: req.user.organization,
+      existingLabels: new Map(existingLabels.map(l => [l.name, l._id]))
+    });
+    const errors = [...plan.errors];
+
+    const labelDocs = plan.labels.map(({ sourceIndex, ...label }) => {
+      const doc = new Label(label);
+      errors.push(...documentErrors(doc, `labels[${sourceIndex}]`));
+      return doc;
+    });
+
+    const taskDocs = plan.tasks.map((task, index) => {
+      const doc = new Task(task);
+      errors.push(...documentErrors(doc, `tasks[${index}]`));
+      return doc;
+    });
+    const subtaskDocs = plan.subtasks.map(({ sourceIndex, ...subtask }) => {
+      const doc = new Subtask(subtask);
+      errors.push(...documentErrors(doc, `subtasks[${sourceIndex}]`));
+      return doc;
+    });
+    const instanceDocs = plan.taskInstances.map(({ sourceIndex, ...instance }) => {
+      const doc = new TaskInstance(instance);
+      errors.push(...documentErrors(doc, `taskInstances[${sourceIndex}]`));
+      return doc;
+    });
+
+    const restoreProfile = ['true', '1', 'yes'].includes(String(req.query.profile).toLowerCase());
+    const profile = archive.profile || {};
+    if (restoreProfile && profile.name !== undefined && (typeof profile.name !== 'string' || !profile.name.trim() || profile.name.trim().length > 50)) {
+      errors.push({ path: 'profile.name', message: 'Name must be 1-50 characters' });
+    }
+    if (restoreProfile && profile.timezone !== undefined && !isValidTimeZone(profile.timezone)) {
+      errors.push({ path: 'profile.timezone', message: 'Time zone must be a valid IANA time zone' });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Backup failed validation; nothing was imported', errors });
+    }
+
+    const dryRun = isDryRun(req);
+    const summary = {
+      labels: labelDocs.length,
+      tasks: taskDocs.length,
+      subtasks: subtaskDocs.length,
+      taskInstances: instanceDocs.length,
+      skipped: plan.skipped
+    };
+
+    if (dryRun) {
+      return res.json({ message: 'Backup is valid', dryRun, mode, schemaVersion: archive.schemaVersion, summary });
+    }
+
+    const dbSession = await mongoose.startSession();
+    try {
+      await dbSession.withTransaction(async () => {
+        if (mode === 'replace') {
+          // Trashed tasks are replaced too
+          const existingIds = [
+            ...await Task.find({ userId: req.user._id }).distinct('_id').session(dbSession),
+            ...await Task.find({ userId: req.user._id, deletedAt: { $ne: null } }).distinct('_id').session(dbSession)
+          ];
+          await Subtask.deleteMany({ taskId: { $in: existingIds } }, { session: dbSession });
+          await TaskInstance.deleteMany({ userId: req.user._id }, { session: dbSession });
+          await Task.deleteMany({ userId: req.user._id }, { session: dbSession });
+          await Reminder.deleteMany({ userId: req.user._id }, { session: dbSession });
+        }
+
+        if (labelDocs.length > 0) {
+          await Label.insertMany(labelDocs, { session: dbSession });
+        }
+        await Task.insertMany(taskDocs, { session: dbSession });
+        if (subtaskDocs.length > 0) {
+          await Subtask.insertMany(subtaskDocs, { session: dbSession });
+        }
+        if (instanceDocs.length > 0) {
+          await TaskInstance.insertMany(instanceDocs, { session: dbSession });
+        }
+
+        if (restoreProfile) {
+          if (profile.name) req.user.name = profile.name.trim();
+          if (profile.timezone) req.user.timezone = profile.timezone;
+          await req.user.save({ session: dbSession });
+        }
+      });
+    } finally {
+      await dbSession.endSession();
+    }
+
+    await notify({ userId: req.user._id, organization: req.user.organization }, 'tasks.refresh', { reason: 'restore' });
+
+    res.status(201).json({ message: 'Backup restored successfully', dryRun, mode, schemaVersion: archive.schemaVersion, summary });
+  } catch (error) {
+    console.error('Import account error:', error);
+    res.status(500).json({ message: 'Server error while importing account' });
+  }
+});
+
+// @route   DELETE /api/account
+// @desc    Delete the current user's account. Requires { password }. The account and all its data
+//          are removed after ACCOUNT_DELETION_GRACE_DAYS (immediately when it is 0) unless the
+//          deletion is cancelled with POST /api/account/deletion/cancel.
+// @access  Private
+router.delete('/', [
+  auth,
+  body('password').exists().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    if (!(await req.user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const audit = {
+      target: { type: 'user', id: req.user._id, label: req.user.email },
+      organization: req.user.organization
+    };
+
+    if (ACCOUNT_DELETION_GRACE_DAYS <= 0) {
+      await recordAudit(req, { ...audit, action: 'account.delete', before: req.user });
+      await deleteUserAccount(req.user);
+      return res.json({ message: 'Your account and all its data have been deleted' });
+    }
+
+    if (!req.user.deletionScheduledFor) {
+      req.user.deletionScheduledFor = deletionDate();
+      await req.user.save();
+      await recordAudit(req, { ...audit, action: 'account.deletion_requested', after: { deletionScheduledFor: req.user.deletionScheduledFor } });
+
+      try {
+        await getTransport('email').send({
+          to: req.user.email,
+          subject: 'Your Organix account will be deleted',
+          text: `Hi ${req.user.name},\n\nYour account and all its data will be deleted on ${req.user.deletionScheduledFor.toISOString().slice(0, 10)}. ` +
+            'Sign in and cancel the deletion before then if you want to keep it.\n\n- Organix'
+        });
+      } catch (mailError) {
+        console.error('Account deletion email error:', mailError.message);
+      }
+    }
+
+    res.status(202).json({
+      message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} day(s) unless you cancel`,
+      deletionScheduledFor: req.user.deletionScheduledFor
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ message: 'Server error while deleting account' });
+  }
+});
+
+// @route   POST /api/account/deletion/cancel
+// @desc    Cancel a pending account deletion
+// @access  Private
+router.post('/deletion/cancel', auth, async (req, res) => {
+  try {
+    if (!req.user.deletionScheduledFor) {
+      return res.status(400).json({ message: 'No account deletion is pending' });
+    }
+
+    req.user.deletionScheduledFor = null;
+    await req.user.save();
+    await recordAudit(req, {
+      action: 'account.deletion_cancelled',
+      target: { type: 'user', id: req.user._id, label: req.user.email },
+      organization: req.user.organization
+    });
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ message: 'Server error while cancelling account deletion' });
+  }
+});
+
+module.exports = router;
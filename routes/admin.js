@@ -1,32 +1,44 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Task = require('../models/Task');
 const Whitelist = require('../models/Whitelist');
 const ResetCode = require('../models/ResetCode');
+const TaskInstance = require('../models/TaskInstance');
+const Session = require('../models/Session');
 const auth = require('../middleware/auth');
+const { requirePermission, orgScope, targetOrganization } = require('../middleware/admin');
+const { isValidDateKey, dateFromKey, addDays, zonedTimeToUtc, resolveDateRange } = require('../utils/timezone');
+const { taskCreateValidators, resolveTaskDates } = require('../validators/task');
+const { taskSummary } = require('../services/events');
+const { notify } = require('../services/live');
+const { snapshot, recordAudit } = require('../services/audit');
+const { deleteUserAccount } = require('../services/accounts');
+const { ROLES, ROLE_PERMISSIONS, permissionsFor, canManageRole } = require('../utils/roles');
+const { parseCSVWithHeader } = require('../utils/csv');
 
 const router = express.Router();
 
-// Middleware to check if user is admin
-const adminAuth = async (req, res, next) => {
+// @route   GET /api/admin/users
+// @desc    Get all users with their status and last login (?status=active|suspended)
+// @access  Private (users.view)
+router.get('/users', [
+  auth,
+  requirePermission('users.view'),
+  query('status').optional().isIn(['active', 'suspended']).withMessage('Status must be active or suspended')
+], async (req, res) => {
   try {
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
     }
-    next();
-  } catch (error) {
-    res.status(500).json({ message: 'Server error during admin authentication' });
-  }
-};
 
-// @route   GET /api/admin/users
-// @desc    Get all users (admin only)
-// @access  Private (Admin)
-router.get('/users', auth, adminAuth, async (req, res) => {
-  try {
-    const users = await User.find({})
-      .select('-password')
+    const filter = orgScope(req);
+    if (req.query.status) filter.status = req.query.status;
+
+    const users = await User.find(filter)
+      .select('-password -calendarToken')
       .sort({ createdAt: -1 });
 
     // Get task counts for each user
@@ -35,6 +47,8 @@ router.get('/users', auth, adminAuth, async (req, res) => {
         const taskCount = await Task.countDocuments({ userId: user._id });
         return {
           ...user.toObject(),
+          status: user.status,
+          lastLoginAt: user.lastLoginAt,
           taskCount
         };
       })
@@ -50,28 +64,49 @@ router.get('/users', auth, adminAuth, async (req, res) => {
   }
 });
 
+const completionRate = (completed, total) => (total > 0 ? Math.round((completed / total) * 100) : 0);
+
+// Daily completion lives in TaskInstances (Task.completed is only set for static tasks),
+// so completion figures are aggregated from instances of the given users between two date keys
+const aggregateInstances = (userIds, from, to, groupBy) => TaskInstance.aggregate([
+  { $match: { userId: { $in: userIds }, date: { $gte: dateFromKey(from), $lte: dateFromKey(to) } } },
+  { $group: {
+    _id: groupBy,
+    total: { $sum: 1 },
+    completed: { $sum: { $cond: ['$completed', 1, 0] } }
+  } }
+]);
+
 // @route   GET /api/admin/stats
-// @desc    Get admin dashboard stats
-// @access  Private (Admin)
-router.get('/stats', auth, adminAuth, async (req, res) => {
+// @desc    Get admin dashboard stats (completion from the last 30 days of task instances)
+// @access  Private (analytics.view)
+router.get('/stats', auth, requirePermission('analytics.view'), async (req, res) => {
   try {
-    const totalUsers = await User.countDocuments({});
-    const totalTasks = await Task.countDocuments({});
-    const completedTasks = await Task.countDocuments({ completed: true });
+    const scope = orgScope(req);
+    const userIds = await User.find(scope).distinct('_id');
+    const totalUsers = userIds.length;
+    const totalTasks = await Task.countDocuments(scope);
+    const completedTasks = await Task.countDocuments({ ...scope, completed: true });
     
     // Get recent registrations (last 30 days)
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
     const recentUsers = await User.countDocuments({ 
+      ...scope,
       createdAt: { $gte: thirtyDaysAgo } 
     });
 
+    const { from, to } = resolveDateRange({}, req.user.timezone, { defaultDays: 30 });
+    const [instances = { total: 0, completed: 0 }] = await aggregateInstances(userIds, from, to, null);
+
     res.json({
       totalUsers,
       totalTasks,
       completedTasks,
       recentUsers,
-      completionRate: totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0
+      totalInstances: instances.total,
+      completedInstances: instances.completed,
+      completionRate: completionRate(instances.completed, instances.total)
     });
   } catch (error) {
     console.error('Get admin stats error:', error);
@@ -79,10 +114,140 @@ router.get('/stats', auth, adminAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/analytics
+// @desc    Completion analytics from task instances (?from=&to=&threshold=&organizationId=)
+// @access  Private (analytics.view)
+router.get('/analytics', [
+  auth,
+  requirePermission('analytics.view'),
+  query('threshold').optional().isInt({ min: 0, max: 100 }).withMessage('Threshold must be between 0 and 100'),
+  query('organizationId').optional().isMongoId().withMessage('Valid organization ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { error, from, to } = resolveDateRange(req.query, req.user.timezone, { defaultDays: 30, maxDays: 366 });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : 50;
+
+    // Super-admins may narrow the report to one organization
+    let scope = orgScope(req);
+    if (req.user.isSuperAdmin && req.query.organizationId) {
+      scope = { organization: new mongoose.Types.ObjectId(req.query.organizationId) };
+    }
+
+    const users = await User.find(scope).select('name email organization createdAt');
+    const userIds = users.map(u => u._id);
+
+    // Signups are instants, so bucket them by day in the admin's time zone
+    const signupRange = {
+      $gte: zonedTimeToUtc(from, '00:00', req.user.timezone),
+      $lt: zonedTimeToUtc(addDays(to, 1), '00:00', req.user.timezone)
+    };
+
+    const [perUser, perDay, signups, usersWithDatedTasks] = await Promise.all([
+      aggregateInstances(userIds, from, to, '$userId'),
+      aggregateInstances(userIds, from, to, { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: 'UTC' } }),
+      User.aggregate([
+        { $match: { ...scope, createdAt: signupRange } },
+        { $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: req.user.timezone } },
+          count: { $sum: 1 }
+        } }
+      ]),
+      Task.distinct('userId', { userId: { $in: userIds }, startDate: { $ne: null } })
+    ]);
+
+    // Per-user completion
+    const statsByUser = new Map(perUser.map(u => [u._id.toString(), u]));
+    const userReports = users.map(user => {
+      const { total = 0, completed = 0 } = statsByUser.get(user._id.toString()) || {};
+      return {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        organization: user.organization,
+        total,
+        completed,
+        completionRate: completionRate(completed, total)
+      };
+    }).sort((a, b) => a.completionRate - b.completionRate || b.total - a.total);
+
+    // Users below the threshold, or with date-based tasks but no activity at all
+    const hasDatedTasks = new Set(usersWithDatedTasks.map(id => id.toString()));
+    const fallingBehind = userReports
+      .filter(u => (u.total > 0 && u.completionRate < threshold) ||
+        (u.total === 0 && hasDatedTasks.has(u.id.toString())))
+      .map(u => ({ ...u, reason: u.total === 0 ? 'no_activity' : 'low_completion' }));
+
+    // Daily time series with every day of the range present
+    const completionsByDay = new Map(perDay.map(d => [d._id, d]));
+    const signupsByDay = new Map(signups.map(d => [d._id, d.count]));
+    const series = [];
+    for (let day = from; day <= to; day = addDays(day, 1)) {
+      const { total = 0, completed = 0 } = completionsByDay.get(day) || {};
+      series.push({
+        date: day,
+        instances: total,
+        completions: completed,
+        completionRate: completionRate(completed, total),
+        signups: signupsByDay.get(day) || 0
+      });
+    }
+
+    const total = perUser.reduce((sum, u) => sum + u.total, 0);
+    const completed = perUser.reduce((sum, u) => sum + u.completed, 0);
+
+    const response = {
+      from,
+      to,
+      threshold,
+      overall: {
+        users: users.length,
+        total,
+        completed,
+        completionRate: completionRate(completed, total),
+        signups: signups.reduce((sum, d) => sum + d.count, 0)
+      },
+      users: userReports,
+      fallingBehind,
+      series
+    };
+
+    // Super-admins also get an org-by-org breakdown
+    if (req.user.isSuperAdmin) {
+      const byOrganization = new Map();
+      for (const u of userReports) {
+        const key = u.organization ? u.organization.toString() : null;
+        const entry = byOrganization.get(key) || { organization: u.organization, users: 0, total: 0, completed: 0 };
+        entry.users++;
+        entry.total += u.total;
+        entry.completed += u.completed;
+        byOrganization.set(key, entry);
+      }
+      response.organizations = [...byOrganization.values()].map(o => ({
+        ...o,
+        completionRate: completionRate(o.completed, o.total)
+      }));
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Get admin analytics error:', error);
+    res.status(500).json({ message: 'Server error while fetching admin analytics' });
+  }
+});
+
 // @route   DELETE /api/admin/users/:id
 // @desc    Delete a user and all their data (admin only)
-// @access  Private (Admin)
-router.delete('/users/:id', auth, adminAuth, async (req, res) => {
+// @access  Private (users.delete)
+router.delete('/users/:id', auth, requirePermission('users.delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -91,16 +256,29 @@ router.delete('/users/:id', auth, adminAuth, async (req, res) => {
       return res.status(400).json({ message: 'Cannot delete your own admin account' });
     }
 
-    const user = await User.findById(id);
+    const user = await User.findOne({ _id: id, ...orgScope(req) });
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Delete all user's tasks and related data
-    await Task.deleteMany({ userId: id });
-    
-    // Delete the user
-    await User.findByIdAndDelete(id);
+    // Only super-admins can remove other super-admins
+    if (user.isSuperAdmin && !req.user.isSuperAdmin) {
+      return res.status(403).json({ message: 'Cannot delete a super-admin account' });
+    }
+
+    // Admins cannot remove users whose role they could not change (e.g. owners)
+    if (!canManageRole(req.user, 'member', user)) {
+      return res.status(403).json({ message: `Cannot delete a user with the ${user.role} role` });
+    }
+
+    // Delete the user with all their data and sessions
+    await deleteUserAccount(user);
+    await recordAudit(req, {
+      action: 'user.delete',
+      target: { type: 'user', id: user._id, label: user.email },
+      organization: user.organization,
+      before: user
+    });
 
     res.json({ message: `User ${user.name} and all their data deleted successfully` });
   } catch (error) {
@@ -109,16 +287,363 @@ router.delete('/users/:id', auth, adminAuth, async (req, res) => {
   }
 });
 
+// A user's role fields as returned by the role endpoints
+const roleSummary = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isAdmin: user.isAdmin,
+  permissions: permissionsFor(user.role)
+});
+
+// Set a user's role after checking the actor may change it. Sends the response.
+const changeRole = async (req, res, role, action) => {
+  if (req.params.id === req.user._id.toString()) {
+    return res.status(400).json({ message: 'Cannot change your own role' });
+  }
+
+  const user = await User.findOne({ _id: req.params.id, ...orgScope(req) });
+  if (!user) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+
+  if (!canManageRole(req.user, role, user)) {
+    return res.status(403).json({ message: `Cannot change the role of this user to ${role}` });
+  }
+
+  if (user.role === role) {
+    return res.json({ message: `${user.name} already has the ${role} role`, user: roleSummary(user) });
+  }
+
+  // Every organization keeps at least one admin or owner
+  const adminRoles = ['admin', 'owner'];
+  if (adminRoles.includes(user.role) && !adminRoles.includes(role)) {
+    const otherAdmins = await User.countDocuments({
+      _id: { $ne: user._id },
+      organization: user.organization,
+      ...User.adminFilter()
+    });
+    if (otherAdmins === 0) {
+      return res.status(400).json({ message: 'Cannot remove the last admin of an organization' });
+    }
+  }
+
+  const before = { role: user.role };
+  user.role = role;
+  await user.save();
+  await recordAudit(req, {
+    action,
+    target: { type: 'user', id: user._id, label: user.email },
+    organization: user.organization,
+    before,
+    after: { role }
+  });
+
+  res.json({ message: `${user.name} now has the ${role} role`, user: roleSummary(user) });
+};
+
+// @route   GET /api/admin/roles
+// @desc    Get the available roles and the permissions each one grants
+// @access  Private (users.view)
+router.get('/roles', auth, requirePermission('users.view'), (req, res) => {
+  res.json({
+    roles: ROLES.map(role => ({
+      role,
+      permissions: permissionsFor(role),
+      grants: ROLE_PERMISSIONS[role],
+      assignable: canManageRole(req.user, role)
+    }))
+  });
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Grant a role, e.g. { role: "manager" }. Admins grant roles below admin;
+//          owners and super-admins grant any role.
+// @access  Private (roles.manage)
+router.put('/users/:id/role', [
+  auth,
+  requirePermission('roles.manage'),
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    await changeRole(req, res, req.body.role, 'user.role_grant');
+  } catch (error) {
+    console.error('Grant role error:', error);
+    res.status(500).json({ message: 'Server error while granting role' });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/role
+// @desc    Revoke a user's role, making them a member again
+// @access  Private (roles.manage)
+router.delete('/users/:id/role', auth, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    await changeRole(req, res, 'member', 'user.role_revoke');
+  } catch (error) {
+    console.error('Revoke role error:', error);
+    res.status(500).json({ message: 'Server error while revoking role' });
+  }
+});
+
+// Find a user the current admin may manage (not themselves, not a super-admin or a higher role).
+// Sends the error response and returns null otherwise.
+const findManagedUser = async (req, res) => {
+  if (req.params.id === req.user._id.toString()) {
+    res.status(400).json({ message: 'Cannot do this to your own account' });
+    return null;
+  }
+
+  const user = await User.findOne({ _id: req.params.id, ...orgScope(req) });
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+
+  if ((user.isSuperAdmin && !req.user.isSuperAdmin) || !canManageRole(req.user, 'member', user)) {
+    res.status(403).json({ message: 'Cannot manage a user with a higher role' });
+    return null;
+  }
+  return user;
+};
+
+// User fields returned by the management endpoints
+const userSummary = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  status: user.status,
+  suspendedAt: user.suspendedAt,
+  suspensionReason: user.suspensionReason,
+  passwordResetRequired: user.passwordResetRequired,
+  lockedUntil: user.lockedUntil,
+  lastLoginAt: user.lastLoginAt
+});
+
+// @route   PATCH /api/admin/users/:id
+// @desc    Edit a user's name or email
+// @access  Private (users.manage)
+router.patch('/users/:id', [
+  auth,
+  requirePermission('users.manage'),
+  body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters'),
+  body('email').optional().isEmail().normalizeEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    const { name, email } = req.body;
+    const emailChanged = email !== undefined && email !== user.email;
+    if (emailChanged) {
+      if (await User.exists({ email })) {
+        return res.status(400).json({ message: 'User already exists with this email' });
+      }
+      // The whitelist entry follows the account; another entry for the new address would clash
+      if (await Whitelist.exists({ email, usedBy: { $ne: user._id } })) {
+        return res.status(400).json({ message: 'This email is already whitelisted for another registration' });
+      }
+    }
+
+    const before = snapshot(user);
+    if (name !== undefined) user.name = name;
+    if (emailChanged) user.email = email;
+    await user.save();
+
+    if (emailChanged) {
+      await Whitelist.updateMany({ usedBy: user._id }, { email });
+    }
+    await recordAudit(req, {
+      action: 'user.update',
+      target: { type: 'user', id: user._id, label: user.email },
+      organization: user.organization,
+      before,
+      after: user
+    });
+
+    res.json({ message: 'User updated successfully', user: userSummary(user) });
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({ message: 'Server error while updating user' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/suspend
+// @desc    Suspend a user, e.g. { reason: "Left the company" }. Their sessions end immediately
+//          and they cannot sign in until reactivated; their data is kept.
+// @access  Private (users.manage)
+router.post('/users/:id/suspend', [
+  auth,
+  requirePermission('users.manage'),
+  body('reason').optional({ values: 'null' }).trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    if (user.status === 'suspended') {
+      return res.status(400).json({ message: 'User is already suspended' });
+    }
+
+    user.status = 'suspended';
+    user.suspendedAt = new Date();
+    user.suspensionReason = req.body.reason || null;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id);
+    await recordAudit(req, {
+      action: 'user.suspend',
+      target: { type: 'user', id: user._id, label: user.email },
+      organization: user.organization,
+      before: { status: 'active' },
+      after: { status: 'suspended', reason: user.suspensionReason }
+    });
+
+    res.json({ message: `${user.name} has been suspended`, user: userSummary(user) });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({ message: 'Server error while suspending user' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/reactivate
+// @desc    Lift a user's suspension
+// @access  Private (users.manage)
+router.post('/users/:id/reactivate', auth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    if (user.status !== 'suspended') {
+      return res.status(400).json({ message: 'User is not suspended' });
+    }
+
+    const before = { status: user.status, reason: user.suspensionReason };
+    user.status = 'active';
+    user.suspendedAt = null;
+    user.suspensionReason = null;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.reactivate',
+      target: { type: 'user', id: user._id, label: user.email },
+      organization: user.organization,
+      before,
+      after: { status: 'active' }
+    });
+
+    res.json({ message: `${user.name} has been reactivated`, user: userSummary(user) });
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({ message: 'Server error while reactivating user' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/require-password-reset
+// @desc    Make a user change their password before they can do anything else
+//          (their next request or login asks for it; POST /api/auth/change-password clears it)
+// @access  Private (users.manage)
+router.post('/users/:id/require-password-reset', auth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    user.passwordResetRequired = true;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.require_password_reset',
+      target: { type: 'user', id: user._id, label: user.email },
+      organization: user.organization
+    });
+
+    res.json({ message: `${user.name} must change their password at next login`, user: userSummary(user) });
+  } catch (error) {
+    console.error('Require password reset error:', error);
+    res.status(500).json({ message: 'Server error while requiring password reset' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Lift a lockout caused by failed logins before it runs out
+// @access  Private (users.manage)
+router.post('/users/:id/unlock', auth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) return;
+
+    if (!user.isLocked()) {
+      return res.status(400).json({ message: 'User is not locked out' });
+    }
+
+    const before = { lockedUntil: user.lockedUntil, failedLoginAttempts: user.failedLoginAttempts };
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.unlock',
+      target: { type: 'user', id: user._id, label: user.email },
+      organization: user.organization,
+      before,
+      after: { lockedUntil: null }
+    });
+
+    res.json({ message: `${user.name} has been unlocked`, user: userSummary(user) });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ message: 'Server error while unlocking user' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/promote
+// @desc    Make a user an admin (shortcut for PUT /api/admin/users/:id/role { role: "admin" })
+// @access  Private (roles.manage)
+router.post('/users/:id/promote', auth, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    await changeRole(req, res, 'admin', 'user.role_grant');
+  } catch (error) {
+    console.error('Promote user error:', error);
+    res.status(500).json({ message: 'Server error while promoting user' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/demote
+// @desc    Make an admin a member again (shortcut for DELETE /api/admin/users/:id/role)
+// @access  Private (roles.manage)
+router.post('/users/:id/demote', auth, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    await changeRole(req, res, 'member', 'user.role_revoke');
+  } catch (error) {
+    console.error('Demote user error:', error);
+    res.status(500).json({ message: 'Server error while demoting user' });
+  }
+});
+
 // @route   POST /api/admin/create-task
 // @desc    Create a task for a specific user (admin only)
-// @access  Private (Admin)
+// @access  Private (tasks.assign)
 router.post('/create-task', [
   auth,
-  adminAuth,
+  requirePermission('tasks.assign'),
   body('userId').isMongoId().withMessage('Valid user ID is required'),
-  body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title must be 1-200 characters'),
-  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
-  body('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+  ...taskCreateValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -126,74 +651,44 @@ router.post('/create-task', [
       return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
     }
 
-    const { userId, title, startDate, endDate } = req.body;
+    const { userId, title, priority, dueTime } = req.body;
 
-    // Verify target user exists
-    const targetUser = await User.findById(userId);
+    // Verify target user exists within the admin's organization
+    const targetUser = await User.findOne({ _id: userId, ...orgScope(req) });
     if (!targetUser) {
       return res.status(404).json({ message: 'Target user not found' });
     }
 
-    // Validate date range if both dates are provided
-    if (startDate && endDate) {
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      
-      // Normalize dates to start of day for proper comparison
-      start.setHours(0, 0, 0, 0);
-      end.setHours(0, 0, 0, 0);
-      
-      if (end < start) {
-        return res.status(400).json({ message: 'End date must be after or equal to start date' });
-      }
-    }
-
-    // Validate that if one date is provided, both should be provided
-    if ((startDate && !endDate) || (!startDate && endDate)) {
-      return res.status(400).json({ message: 'Both start date and end date must be provided together, or leave both empty for static tasks' });
+    // Dates are calendar days in the target user's time zone
+    const { error, fields } = resolveTaskDates(req.body, targetUser.timezone);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
     // Get the next order number for this task type
-    let nextOrder = 1;
-    if (startDate && endDate) {
-      // For date-based tasks, get the highest order for this date
-      const existingTasks = await Task.findTasksForDate(userId, new Date(startDate));
-      if (existingTasks.length > 0) {
-        const maxOrder = Math.max(...existingTasks.map(t => t.order || 0));
-        nextOrder = maxOrder + 1;
-      }
-    } else {
-      // For static tasks, get the highest order
-      const existingTasks = await Task.find({ 
-        userId,
-        $or: [
-          { startDate: null },
-          { endDate: null },
-          { $and: [{ startDate: { $exists: false } }, { endDate: { $exists: false } }] }
-        ]
-      });
-      if (existingTasks.length > 0) {
-        const maxOrder = Math.max(...existingTasks.map(t => t.order || 0));
-        nextOrder = maxOrder + 1;
-      }
-    }
+    const nextOrder = await Task.getNextOrder(userId, fields.startDate);
 
     const taskData = {
       title,
       userId,
       order: nextOrder,
-      createdBy: req.user._id // Track who created the task
+      organization: targetUser.organization,
+      createdBy: req.user._id, // Track who created the task
+      priority,
+      dueTime,
+      ...fields
     };
 
-    // Only add dates if both are provided
-    if (startDate && endDate) {
-      taskData.startDate = new Date(startDate);
-      taskData.endDate = new Date(endDate);
-    }
-
     const task = new Task(taskData);
     await task.save();
     await task.populate('subtasks');
+    await notify(task, 'task.created', { task: taskSummary(task) });
+    await recordAudit(req, {
+      action: 'task.create_for_user',
+      target: { type: 'task', id: task._id, label: `${task.title} (for ${targetUser.email})` },
+      organization: targetUser.organization,
+      after: task
+    });
 
     res.status(201).json({ 
       message: `Task created successfully for ${targetUser.name}`, 
@@ -212,10 +707,10 @@ router.post('/create-task', [
 
 // @route   GET /api/admin/whitelist
 // @desc    Get all whitelisted emails
-// @access  Private (Admin)
-router.get('/whitelist', auth, adminAuth, async (req, res) => {
+// @access  Private (whitelist.manage)
+router.get('/whitelist', auth, requirePermission('whitelist.manage'), async (req, res) => {
   try {
-    const whitelistedEmails = await Whitelist.find({})
+    const whitelistedEmails = await Whitelist.find(orgScope(req))
       .populate('addedBy', 'name email')
       .populate('usedBy', 'name email')
       .sort({ createdAt: -1 });
@@ -232,11 +727,12 @@ router.get('/whitelist', auth, adminAuth, async (req, res) => {
 
 // @route   POST /api/admin/whitelist
 // @desc    Add email to whitelist
-// @access  Private (Admin)
+// @access  Private (whitelist.manage)
 router.post('/whitelist', [
   auth,
-  adminAuth,
-  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+  requirePermission('whitelist.manage'),
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('organizationId').optional({ values: 'null' }).isMongoId().withMessage('Valid organization ID is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -244,26 +740,39 @@ router.post('/whitelist', [
       return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
     }
 
-    const { email } = req.body;
+    const { email, organizationId } = req.body;
 
-    // Check if email is already whitelisted
-    const existingWhitelist = await Whitelist.findOne({ email });
-    if (existingWhitelist) {
-      return res.status(400).json({ message: 'Email is already whitelisted' });
+    // Org admins always whitelist into their own organization; super-admins may pick one
+    const { organization, error } = await targetOrganization(req, organizationId);
+    if (error) {
+      return res.status(404).json({ message: error });
     }
 
-    // Check if email is already registered
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
+    // Specific answers only within the admin's reach; entries and users of other
+    // organizations get the same generic conflict so their emails don't leak
+    if (await Whitelist.exists({ email, ...orgScope(req) })) {
+      return res.status(400).json({ message: 'Email is already whitelisted' });
+    }
+    if (await User.exists({ email, ...orgScope(req) })) {
       return res.status(400).json({ message: 'Email is already registered as a user' });
     }
+    if (await Whitelist.exists({ email }) || await User.exists({ email })) {
+      return res.status(400).json({ message: 'This email cannot be whitelisted' });
+    }
 
     const whitelistEntry = new Whitelist({
       email,
+      organization,
       addedBy: req.user._id
     });
 
     await whitelistEntry.save();
+    await recordAudit(req, {
+      action: 'whitelist.add',
+      target: { type: 'whitelist', id: whitelistEntry._id, label: email },
+      organization,
+      after: whitelistEntry
+    });
     await whitelistEntry.populate('addedBy', 'name email');
 
     res.status(201).json({ 
@@ -276,14 +785,147 @@ router.post('/whitelist', [
   }
 });
 
+const MAX_WHITELIST_IMPORT = 1000;
+
+// Raw uploads for the bulk import (CSV or a pasted list); JSON bodies use the app-wide parser
+const rawText = express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' });
+
+// Emails from a bulk import, each with the row it came from: a CSV file with an "email" column,
+// or a pasted list separated by new lines, commas, semicolons or spaces ("Name <email>" works too)
+const parseEmailList = (input) => {
+  if (Array.isArray(input)) {
+    return input.map((email, index) => ({ row: index + 1, email: String(email).trim() }));
+  }
+
+  const text = String(input || '');
+  const parsed = /(^|,)\s*"?email"?\s*(,|$)/i.test(text.split(/\r?\n/, 1)[0]) ? parseCSVWithHeader(text) : null;
+  if (parsed) {
+    const column = parsed.columns.find(name => name.toLowerCase() === 'email');
+    // Row numbers match the spreadsheet: the header is row 1
+    return parsed.records.map((record, index) => ({ row: index + 2, email: record[column].trim() }));
+  }
+
+  return text.split(/\r?\n/).flatMap((line, index) => line
+    .replace(/[^<>,;]*<([^<>]+)>/g, ' $1 ')
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map(email => ({ row: index + 1, email })));
+};
+
+// Validate and normalize one address exactly like POST /whitelist does; null if invalid
+const emailChain = body('email').isEmail().normalizeEmail();
+const normalizeEmail = async (email) => {
+  const fakeReq = { body: { email } };
+  await emailChain.run(fakeReq);
+  return validationResult(fakeReq).isEmpty() ? fakeReq.body.email : null;
+};
+
+// @route   POST /api/admin/whitelist/import
+// @desc    Whitelist many emails at once (?dryRun=true to only check them). Send a CSV file with an
+//          "email" column or a pasted list as text/csv or text/plain, or JSON { emails, organizationId }
+//          where emails is an array or the pasted text. Valid rows are added even if others fail;
+//          every row gets a status: added, invalid, duplicate, already_whitelisted, already_registered
+//          or unavailable (taken outside the admin's organization, which is not revealed further).
+// @access  Private (whitelist.manage)
+router.post('/whitelist/import', [
+  auth,
+  requirePermission('whitelist.manage'),
+  rawText,
+  body('organizationId').optional({ values: 'null' }).isMongoId().withMessage('Valid organization ID is required'),
+  query('organizationId').optional().isMongoId().withMessage('Valid organization ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const isRaw = typeof req.body === 'string';
+    const input = isRaw ? req.body : req.body && req.body.emails;
+    const entries = parseEmailList(input);
+    if (entries.length === 0) {
+      return res.status(400).json({ message: 'Send emails as a CSV file, a pasted list or JSON { "emails": [...] }' });
+    }
+    if (entries.length > MAX_WHITELIST_IMPORT) {
+      return res.status(400).json({ message: `Imports of more than ${MAX_WHITELIST_IMPORT} emails are not supported` });
+    }
+
+    const { organization, error } = await targetOrganization(req, isRaw ? req.query.organizationId : req.body.organizationId);
+    if (error) {
+      return res.status(404).json({ message: error });
+    }
+
+    const results = [];
+    for (const { row, email } of entries) {
+      const normalized = await normalizeEmail(email);
+      results.push(normalized ? { row, email: normalized } : { row, email, status: 'invalid' });
+    }
+
+    // Addresses already whitelisted or registered within the admin's reach, and anywhere else
+    const valid = results.filter(r => !r.status).map(r => r.email);
+    const [whitelisted, registered, takenWhitelist, takenUsers] = await Promise.all([
+      Whitelist.find({ email: { $in: valid }, ...orgScope(req) }).distinct('email'),
+      User.find({ email: { $in: valid }, ...orgScope(req) }).distinct('email'),
+      Whitelist.find({ email: { $in: valid } }).distinct('email'),
+      User.find({ email: { $in: valid } }).distinct('email')
+    ]);
+    const whitelistedSet = new Set(whitelisted);
+    const registeredSet = new Set(registered);
+    const takenSet = new Set([...takenWhitelist, ...takenUsers]);
+
+    const seen = new Set();
+    for (const result of results) {
+      if (result.status) continue;
+      if (seen.has(result.email)) result.status = 'duplicate';
+      else if (registeredSet.has(result.email)) result.status = 'already_registered';
+      else if (whitelistedSet.has(result.email)) result.status = 'already_whitelisted';
+      else if (takenSet.has(result.email)) result.status = 'unavailable';
+      else result.status = 'added';
+      seen.add(result.email);
+    }
+
+    const toAdd = results.filter(r => r.status === 'added');
+    const dryRun = ['true', '1', 'yes'].includes(String(req.query.dryRun).toLowerCase());
+
+    if (!dryRun && toAdd.length > 0) {
+      const created = await Whitelist.insertMany(
+        toAdd.map(({ email }) => ({ email, organization, addedBy: req.user._id })),
+        { ordered: false }
+      );
+      const idsByEmail = new Map(created.map(entry => [entry.email, entry._id]));
+      toAdd.forEach(result => { result.whitelistEntryId = idsByEmail.get(result.email); });
+
+      await recordAudit(req, {
+        action: 'whitelist.import',
+        target: { type: 'whitelist', label: `${toAdd.length} email(s)` },
+        organization,
+        after: { emails: toAdd.map(r => r.email) }
+      });
+    }
+
+    const summary = results.reduce((counts, { status }) => ({ ...counts, [status]: (counts[status] || 0) + 1 }), {});
+    res.status(dryRun || toAdd.length === 0 ? 200 : 201).json({
+      message: dryRun
+        ? `${toAdd.length} of ${results.length} email(s) can be added`
+        : `Added ${toAdd.length} of ${results.length} email(s) to the whitelist`,
+      dryRun,
+      summary,
+      results
+    });
+  } catch (error) {
+    console.error('Import whitelist error:', error);
+    res.status(500).json({ message: 'Server error while importing whitelist' });
+  }
+});
+
 // @route   DELETE /api/admin/whitelist/:id
 // @desc    Remove email from whitelist
-// @access  Private (Admin)
-router.delete('/whitelist/:id', auth, adminAuth, async (req, res) => {
+// @access  Private (whitelist.manage)
+router.delete('/whitelist/:id', auth, requirePermission('whitelist.manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const whitelistEntry = await Whitelist.findById(id);
+    const whitelistEntry = await Whitelist.findOne({ _id: id, ...orgScope(req) });
     if (!whitelistEntry) {
       return res.status(404).json({ message: 'Whitelist entry not found' });
     }
@@ -294,6 +936,12 @@ router.delete('/whitelist/:id', auth, adminAuth, async (req, res) => {
     }
 
     await Whitelist.findByIdAndDelete(id);
+    await recordAudit(req, {
+      action: 'whitelist.remove',
+      target: { type: 'whitelist', id: whitelistEntry._id, label: whitelistEntry.email },
+      organization: whitelistEntry.organization,
+      before: whitelistEntry
+    });
 
     res.json({ message: 'Email removed from whitelist successfully' });
   } catch (error) {
@@ -302,17 +950,18 @@ router.delete('/whitelist/:id', auth, adminAuth, async (req, res) => {
   }
 });
 
-// Helper function to generate random 6-digit code
-const generateResetCode = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-};
-
 // @route   GET /api/admin/reset-codes
 // @desc    Get all reset codes
-// @access  Private (Admin)
-router.get('/reset-codes', auth, adminAuth, async (req, res) => {
+// @access  Private (resetCodes.issue)
+router.get('/reset-codes', auth, requirePermission('resetCodes.issue'), async (req, res) => {
   try {
-    const resetCodes = await ResetCode.find({})
+    // Reset codes are keyed by email, so scope them through the users of the organization
+    const filter = {};
+    if (!req.user.isSuperAdmin) {
+      filter.email = { $in: await User.find(orgScope(req)).distinct('email') };
+    }
+
+    const resetCodes = await ResetCode.find(filter)
       .populate('generatedBy', 'name email')
       .sort({ createdAt: -1 })
       .limit(50); // Limit to last 50 codes
@@ -329,10 +978,10 @@ router.get('/reset-codes', auth, adminAuth, async (req, res) => {
 
 // @route   POST /api/admin/reset-codes
 // @desc    Generate a reset code for a user
-// @access  Private (Admin)
+// @access  Private (resetCodes.issue)
 router.post('/reset-codes', [
   auth,
-  adminAuth,
+  requirePermission('resetCodes.issue'),
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
 ], async (req, res) => {
   try {
@@ -344,7 +993,7 @@ router.post('/reset-codes', [
     const { email } = req.body;
 
     // Check if user exists
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email, ...orgScope(req) });
     if (!user) {
       return res.status(404).json({ message: 'User not found with this email' });
     }
@@ -355,28 +1004,14 @@ router.post('/reset-codes', [
       return res.status(403).json({ message: 'Email is not whitelisted' });
     }
 
-    // Expire any existing unused codes for this email
-    await ResetCode.updateMany(
-      { email, isUsed: false },
-      { isUsed: true, usedAt: new Date() }
-    );
-
-    // Generate unique code
-    let code;
-    let isUnique = false;
-    while (!isUnique) {
-      code = generateResetCode();
-      const existing = await ResetCode.findOne({ code, isUsed: false });
-      if (!existing) isUnique = true;
-    }
-
-    const resetCode = new ResetCode({
-      code,
-      email,
-      generatedBy: req.user._id
+    // Expires any existing unused codes for this email
+    const resetCode = await ResetCode.issue(email, req.user._id);
+    await recordAudit(req, {
+      action: 'reset_code.generate',
+      target: { type: 'user', id: user._id, label: email },
+      organization: user.organization,
+      after: resetCode
     });
-
-    await resetCode.save();
     await resetCode.populate('generatedBy', 'name email');
 
     res.status(201).json({ 
@@ -396,17 +1031,24 @@ router.post('/reset-codes', [
 
 // @route   DELETE /api/admin/reset-codes/:id
 // @desc    Delete/expire a reset code
-// @access  Private (Admin)
-router.delete('/reset-codes/:id', auth, adminAuth, async (req, res) => {
+// @access  Private (resetCodes.issue)
+router.delete('/reset-codes/:id', auth, requirePermission('resetCodes.issue'), async (req, res) => {
   try {
     const { id } = req.params;
 
     const resetCode = await ResetCode.findById(id);
-    if (!resetCode) {
+    const owner = resetCode && await User.findOne({ email: resetCode.email, ...orgScope(req) }).select('organization');
+    if (!owner) {
       return res.status(404).json({ message: 'Reset code not found' });
     }
 
     await ResetCode.findByIdAndDelete(id);
+    await recordAudit(req, {
+      action: 'reset_code.delete',
+      target: { type: 'reset_code', id: resetCode._id, label: resetCode.email },
+      organization: owner.organization,
+      before: resetCode
+    });
 
     res.json({ message: 'Reset code deleted successfully' });
   } catch (error) {
@@ -417,8 +1059,8 @@ router.delete('/reset-codes/:id', auth, adminAuth, async (req, res) => {
 
 // @route   GET /api/admin/user-tasks/:userId/date/:date
 // @desc    Get task instances for a specific user and date (admin only)
-// @access  Private (Admin)
-router.get('/user-tasks/:userId/date/:date', auth, adminAuth, async (req, res) => {
+// @access  Private (users.view)
+router.get('/user-tasks/:userId/date/:date', auth, requirePermission('users.view'), async (req, res) => {
   try {
     const { userId, date } = req.params;
 
@@ -427,59 +1069,29 @@ router.get('/user-tasks/:userId/date/:date', auth, adminAuth, async (req, res) =
       return res.status(400).json({ message: 'Invalid date format. Use YYYY-MM-DD' });
     }
 
-    // Verify user exists
-    const user = await User.findById(userId);
+    // Verify user exists within the admin's organization
+    const user = await User.findOne({ _id: userId, ...orgScope(req) });
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Parse date components to avoid timezone issues
-    const [year, month, day] = date.split('-').map(Number);
-    const targetDate = new Date(year, month - 1, day);
-    
-    if (isNaN(targetDate.getTime())) {
+    // The date is a calendar day, used as-is as the instance key
+    if (!isValidDateKey(date)) {
       return res.status(400).json({ message: 'Invalid date' });
     }
 
-    // Find all tasks that should be active on this date for this user
-    const activeTasks = await Task.find({
-      userId,
-      startDate: { $lte: new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate(), 23, 59, 59, 999), $ne: null },
-      endDate: { $gte: new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate(), 0, 0, 0, 0), $ne: null }
-    }).populate('subtasks').sort({ order: 1, createdAt: -1 });
+    // Find all tasks that should be active on this date for this user (recurrence expanded)
+    const activeTasks = await Task.findTasksForDate(userId, date);
 
     // Get or create task instances
-    const TaskInstance = require('../models/TaskInstance');
     const taskInstances = [];
     
     for (const task of activeTasks) {
-      let instance = await TaskInstance.findOne({
-        taskId: task._id,
-        userId,
-        date: new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate(), 0, 0, 0, 0)
-      });
-
-      if (!instance) {
-        // Create instance if it doesn't exist
-        const subtaskInstances = task.subtasks.map(subtask => ({
-          subtaskId: subtask._id,
-          completed: false
-        }));
-
-        instance = new TaskInstance({
-          taskId: task._id,
-          userId,
-          date: new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate(), 0, 0, 0, 0),
-          completed: false,
-          subtaskInstances
-        });
-
-        await instance.save();
-      }
+      const instance = await TaskInstance.getOrCreate(task._id, userId, date);
 
       // Populate the task and subtask details
       await instance.populate([
-        { path: 'taskId', select: 'title startDate endDate' },
+        { path: 'taskId', select: 'title startDate endDate recurrence labels', populate: { path: 'labels', select: 'name color' } },
         { path: 'subtaskInstances.subtaskId', select: 'title notes' }
       ]);
       
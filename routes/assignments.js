@@ -0,0 +1,365 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Assignment = require('../models/Assignment');
+const UserGroup = require('../models/UserGroup');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Subtask = require('../models/Subtask');
+const TaskInstance = require('../models/TaskInstance');
+const Reminder = require('../models/Reminder');
+const auth = require('../middleware/auth');
+const { requirePermission, orgScope } = require('../middleware/admin');
+const { isValidRecurrence, taskCreateValidators, resolveTaskDates } = require('../validators/task');
+const { isValidDateKey, keyFromDate } = require('../utils/timezone');
+const { rescheduleReminders } = require('../services/reminders');
+const { taskSummary } = require('../services/events');
+const { notify } = require('../services/live');
+const { snapshot, recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+const subtaskValidators = [
+  body('subtasks').optional().isArray().withMessage('Subtasks must be an array'),
+  body('subtasks.*.title').trim().isLength({ min: 1, max: 150 }).withMessage('Subtask title must be 1-150 characters'),
+  body('subtasks.*.notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+// Recipients may live in different time zones, so an assignment only takes plain calendar
+// days: a full timestamp would land on a different day depending on whose zone resolved it
+const dateKeyValidators = [
+  body('startDate').optional({ values: 'null' }).custom(isValidDateKey).withMessage('Start date must be a calendar date (YYYY-MM-DD)'),
+  body('endDate').optional({ values: 'null' }).custom(isValidDateKey).withMessage('End date must be a calendar date (YYYY-MM-DD)'),
+  body('recurrenceExceptions.*').custom(isValidDateKey).withMessage('Recurrence exceptions must be calendar dates (YYYY-MM-DD)')
+];
+
+// Stored calendar dates back to YYYY-MM-DD keys, so they can be re-validated with new input
+const toKey = (date) => (date ? keyFromDate(date) : undefined);
+
+// @route   GET /api/admin/assignments
+// @desc    Get all bulk assignments
+// @access  Private (tasks.assign)
+router.get('/', auth, requirePermission('tasks.assign'), async (req, res) => {
+  try {
+    const assignments = await Assignment.find(orgScope(req))
+      .populate('createdBy', 'name email')
+      .populate('group', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({ assignments, total: assignments.length });
+  } catch (error) {
+    console.error('Get assignments error:', error);
+    res.status(500).json({ message: 'Server error while fetching assignments' });
+  }
+});
+
+// @route   GET /api/admin/assignments/:id
+// @desc    Get an assignment with each recipient's progress
+// @access  Private (tasks.assign)
+router.get('/:id', auth, requirePermission('tasks.assign'), async (req, res) => {
+  try {
+    const assignment = await Assignment.findOne({ _id: req.params.id, ...orgScope(req) })
+      .populate('createdBy', 'name email')
+      .populate('group', 'name');
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+
+    const tasks = await Task.find({ assignment: assignment._id })
+      .populate('userId', 'name email')
+      .populate('subtasks');
+
+    // Completed days per task for date-based assignments
+    const completedDays = await TaskInstance.aggregate([
+      { $match: { taskId: { $in: tasks.map(t => t._id) }, completed: true } },
+      { $group: { _id: '$taskId', count: { $sum: 1 } } }
+    ]);
+    const completedByTask = new Map(completedDays.map(d => [d._id.toString(), d.count]));
+
+    const progress = tasks.map(task => ({
+      taskId: task._id,
+      user: task.userId,
+      completed: task.completed,
+      completedDays: completedByTask.get(task._id.toString()) || 0,
+      subtasksCompleted: task.subtasks.filter(st => st.completed).length,
+      subtasksTotal: task.subtasks.length
+    }));
+
+    res.json({ assignment, progress });
+  } catch (error) {
+    console.error('Get assignment error:', error);
+    res.status(500).json({ message: 'Server error while fetching assignment' });
+  }
+});
+
+// @route   POST /api/admin/assignments
+// @desc    Assign the same task (with subtasks) to many users or a group, atomically
+// @access  Private (tasks.assign)
+router.post('/', [
+  auth,
+  requirePermission('tasks.assign'),
+  body('userIds').optional().isArray().withMessage('User IDs must be an array'),
+  body('userIds.*').isMongoId().withMessage('User IDs must be valid user IDs'),
+  body('groupId').optional().isMongoId().withMessage('Valid group ID is required'),
+  ...taskCreateValidators,
+  ...dateKeyValidators,
+  ...subtaskValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { title, groupId, userIds = [], subtasks = [] } = req.body;
+
+    if (userIds.length === 0 && !groupId) {
+      return res.status(400).json({ message: 'Provide userIds or a groupId to assign the task to' });
+    }
+
+    // Dates are YYYY-MM-DD keys, the same calendar day for every recipient
+    const { error, fields } = resolveTaskDates(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Collect recipients from the explicit list and the group
+    let group = null;
+    const recipientIds = new Set(userIds);
+    if (groupId) {
+      group = await UserGroup.findOne({ _id: groupId, ...orgScope(req) });
+      if (!group) {
+        return res.status(404).json({ message: 'Group not found' });
+      }
+      group.members.forEach(id => recipientIds.add(id.toString()));
+    }
+
+    if (recipientIds.size === 0) {
+      return res.status(400).json({ message: 'The group has no members to assign the task to' });
+    }
+
+    const users = await User.find({ _id: { $in: [...recipientIds] }, ...orgScope(req) });
+    const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+    // All-or-nothing: refuse the whole batch if any recipient is not manageable
+    const missing = [...recipientIds].filter(id => !usersById.has(id));
+    if (missing.length > 0) {
+      return res.status(400).json({
+        message: 'Some users could not be found; nothing was assigned',
+        results: [...recipientIds].map(id => ({
+          userId: id,
+          status: usersById.has(id) ? 'not_created' : 'not_found'
+        }))
+      });
+    }
+
+    // Build every task and subtask up front, then insert them in one transaction
+    const assignment = new Assignment({
+      title,
+      ...fields,
+      subtasks: subtasks.map(({ title, notes }) => ({ title, notes: notes || '' })),
+      recipients: users.map(u => u._id),
+      group: group ? group._id : null,
+      organization: req.user.organization || null,
+      createdBy: req.user._id
+    });
+
+    const taskDocs = [];
+    const subtaskDocs = [];
+    const results = [];
+
+    for (const user of users) {
+      const taskId = new mongoose.Types.ObjectId();
+      const userSubtasks = assignment.subtasks.map(st => ({
+        _id: new mongoose.Types.ObjectId(),
+        title: st.title,
+        notes: st.notes,
+        taskId
+      }));
+
+      taskDocs.push({
+        _id: taskId,
+        title,
+        userId: user._id,
+        organization: user.organization,
+        createdBy: req.user._id,
+        assignment: assignment._id,
+        order: await Task.getNextOrder(user._id, fields.startDate),
+        subtasks: userSubtasks.map(st => st._id),
+        ...fields
+      });
+      subtaskDocs.push(...userSubtasks);
+      results.push({ userId: user._id, name: user.name, email: user.email, status: 'created', taskId });
+    }
+
+    const dbSession = await mongoose.startSession();
+    try {
+      await dbSession.withTransaction(async () => {
+        await assignment.save({ session: dbSession });
+        await Task.insertMany(taskDocs, { session: dbSession });
+        if (subtaskDocs.length > 0) {
+          await Subtask.insertMany(subtaskDocs, { session: dbSession });
+        }
+      });
+    } finally {
+      await dbSession.endSession();
+    }
+
+    for (const task of taskDocs) {
+      await notify(task, 'task.created', { task: taskSummary(task), assignment: assignment._id });
+    }
+    await recordAudit(req, {
+      action: 'assignment.create',
+      target: { type: 'assignment', id: assignment._id, label: assignment.title },
+      organization: assignment.organization,
+      after: assignment
+    });
+
+    res.status(201).json({
+      message: `Task assigned to ${results.length} user(s)`,
+      assignment,
+      results
+    });
+  } catch (error) {
+    console.error('Create assignment error:', error);
+    res.status(500).json({ message: 'Server error while creating assignment' });
+  }
+});
+
+// @route   PUT /api/admin/assignments/:id
+// @desc    Edit title/dates/recurrence of an assignment and every task created from it
+// @access  Private (tasks.assign)
+router.put('/:id', [
+  auth,
+  requirePermission('tasks.assign'),
+  body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be 1-200 characters'),
+  body('startDate').optional({ values: 'null' }).isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional({ values: 'null' }).isISO8601().withMessage('End date must be a valid date'),
+  body('recurrence').optional({ values: 'null' }).custom(isValidRecurrence),
+  body('recurrenceExceptions').optional().isArray().withMessage('Recurrence exceptions must be an array of dates'),
+  body('recurrenceExceptions.*').isISO8601().withMessage('Recurrence exceptions must be valid dates'),
+  ...dateKeyValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const assignment = await Assignment.findOne({ _id: req.params.id, ...orgScope(req) });
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    if (assignment.withdrawnAt) {
+      return res.status(400).json({ message: 'Cannot edit a withdrawn assignment' });
+    }
+
+    // Re-validate the merged dates with the same rules as task creation
+    const pick = (field, current) => (req.body.hasOwnProperty(field) ? req.body[field] : current);
+    const { error, fields } = resolveTaskDates({
+      startDate: pick('startDate', toKey(assignment.startDate)),
+      endDate: pick('endDate', toKey(assignment.endDate)),
+      recurrence: pick('recurrence', assignment.recurrence),
+      recurrenceExceptions: pick('recurrenceExceptions', assignment.recurrenceExceptions.map(toKey))
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const updates = {
+      title: pick('title', assignment.title),
+      startDate: fields.startDate || null,
+      endDate: fields.endDate || null,
+      recurrence: fields.recurrence || null,
+      recurrenceExceptions: fields.recurrenceExceptions || []
+    };
+
+    const before = snapshot(assignment);
+    let modifiedCount = 0;
+    const dbSession = await mongoose.startSession();
+    try {
+      await dbSession.withTransaction(async () => {
+        Object.assign(assignment, updates);
+        await assignment.save({ session: dbSession });
+        const result = await Task.updateMany({ assignment: assignment._id }, { $set: updates }, { session: dbSession });
+        modifiedCount = result.modifiedCount;
+      });
+    } finally {
+      await dbSession.endSession();
+    }
+
+    const tasks = await Task.find({ assignment: assignment._id });
+    await rescheduleReminders({ taskId: { $in: tasks.map(t => t._id) } });
+    for (const task of tasks) {
+      await notify(task, 'task.updated', { task: taskSummary(task), changes: Object.keys(updates) });
+    }
+    await recordAudit(req, {
+      action: 'assignment.update',
+      target: { type: 'assignment', id: assignment._id, label: assignment.title },
+      organization: assignment.organization,
+      before,
+      after: assignment
+    });
+
+    res.json({
+      message: `Assignment updated for ${modifiedCount} task(s)`,
+      assignment
+    });
+  } catch (error) {
+    console.error('Update assignment error:', error);
+    res.status(500).json({ message: 'Server error while updating assignment' });
+  }
+});
+
+// @route   DELETE /api/admin/assignments/:id
+// @desc    Withdraw an assignment: remove every task created from it
+// @access  Private (tasks.assign)
+router.delete('/:id', auth, requirePermission('tasks.assign'), async (req, res) => {
+  try {
+    const assignment = await Assignment.findOne({ _id: req.params.id, ...orgScope(req) });
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found' });
+    }
+    if (assignment.withdrawnAt) {
+      return res.status(400).json({ message: 'Assignment has already been withdrawn' });
+    }
+
+    const tasks = await Task.find({ assignment: assignment._id });
+    const taskIds = tasks.map(t => t._id);
+    const before = snapshot(assignment);
+
+    const dbSession = await mongoose.startSession();
+    try {
+      await dbSession.withTransaction(async () => {
+        await Subtask.deleteMany({ taskId: { $in: taskIds } }, { session: dbSession });
+        await TaskInstance.deleteMany({ taskId: { $in: taskIds } }, { session: dbSession });
+        await Task.deleteMany({ _id: { $in: taskIds } }, { session: dbSession });
+        await Reminder.deleteMany({ taskId: { $in: taskIds } }, { session: dbSession });
+
+        // Keep the assignment itself as a record of what was handed out
+        assignment.withdrawnAt = new Date();
+        await assignment.save({ session: dbSession });
+      });
+    } finally {
+      await dbSession.endSession();
+    }
+
+    for (const task of tasks) {
+      await notify(task, 'task.deleted', { task: taskSummary(task), assignment: assignment._id });
+    }
+    await recordAudit(req, {
+      action: 'assignment.withdraw',
+      target: { type: 'assignment', id: assignment._id, label: assignment.title },
+      organization: assignment.organization,
+      before,
+      after: assignment
+    });
+
+    res.json({ message: `Assignment withdrawn from ${taskIds.length} user(s)` });
+  } catch (error) {
+    console.error('Withdraw assignment error:', error);
+    res.status(500).json({ message: 'Server error while withdrawing assignment' });
+  }
+});
+
+module.exports = router;
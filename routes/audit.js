@@ -0,0 +1,111 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const auth = require('../middleware/auth');
+const { requirePermission, orgScope } = require('../middleware/admin');
+const { addDays, resolveDateRange, zonedTimeToUtc } = require('../utils/timezone');
+const { toCSV } = require('../utils/csv');
+
+const router = express.Router();
+
+const AUDIT_COLUMNS = ['createdAt', 'action', 'actorName', 'actorEmail', 'targetType', 'targetId', 'targetLabel', 'ip', 'userAgent', 'before', 'after'];
+const MAX_CSV_ROWS = 10000;
+
+const auditRow = (entry) => ({
+  createdAt: entry.createdAt,
+  action: entry.action,
+  actorName: entry.actor.name,
+  actorEmail: entry.actor.email,
+  targetType: entry.target.type,
+  targetId: entry.target.id || '',
+  targetLabel: entry.target.label,
+  ip: entry.ip,
+  userAgent: entry.userAgent,
+  before: entry.before ? JSON.stringify(entry.before) : '',
+  after: entry.after ? JSON.stringify(entry.after) : ''
+});
+
+// Mongo filter for the query string, or { error }
+const buildFilter = (req) => {
+  const filter = { ...orgScope(req) };
+  if (req.user.isSuperAdmin && req.query.organizationId) {
+    filter.organization = req.query.organizationId;
+  }
+
+  // ?action=user.delete,whitelist.add for exact actions, ?action=webhook.* for a whole family
+  if (req.query.action) {
+    const actions = req.query.action.split(',').map(a => a.trim()).filter(Boolean);
+    filter.$or = actions.map(action => (action.endsWith('.*')
+      ? { action: { $regex: `^${action.slice(0, -1).replace(/\./g, '\\.')}` } }
+      : { action }));
+  }
+  if (req.query.actorId) filter['actor.userId'] = req.query.actorId;
+  if (req.query.targetType) filter['target.type'] = req.query.targetType;
+  if (req.query.targetId) filter['target.id'] = req.query.targetId;
+
+  // Days are interpreted in the admin's time zone
+  if (req.query.from || req.query.to) {
+    const { error, from, to } = resolveDateRange(req.query, req.user.timezone, { defaultDays: 30, maxDays: 3660 });
+    if (error) {
+      return { error };
+    }
+    filter.createdAt = {
+      $gte: zonedTimeToUtc(from, '00:00', req.user.timezone),
+      $lt: zonedTimeToUtc(addDays(to, 1), '00:00', req.user.timezone)
+    };
+  }
+
+  return { filter };
+};
+
+// @route   GET /api/admin/audit
+// @desc    Audit log of admin actions and sensitive auth events, newest first.
+//          Filters: ?action= (comma separated, "family.*" allowed), actorId, targetType, targetId,
+//          from/to (YYYY-MM-DD), organizationId (super-admins). ?format=csv downloads the matches.
+// @access  Private (audit.view)
+router.get('/', [
+  auth,
+  requirePermission('audit.view'),
+  query('action').optional().isString().matches(/^[a-z_.*,\s]+$/).withMessage('Action may only contain letters, "_", "." and "*"'),
+  query('actorId').optional().isMongoId().withMessage('Valid actor ID is required'),
+  query('targetType').optional().isString().isLength({ max: 50 }).withMessage('Invalid target type'),
+  query('targetId').optional().isString().isLength({ max: 100 }).withMessage('Invalid target ID'),
+  query('organizationId').optional().isMongoId().withMessage('Valid organization ID is required'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { error, filter } = buildFilter(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (req.query.format === 'csv') {
+      const entries = await AuditLog.find(filter).sort({ createdAt: -1 }).limit(MAX_CSV_ROWS);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="audit-log.csv"');
+      return res.send(toCSV(AUDIT_COLUMNS, entries.map(auditRow)));
+    }
+
+    const limit = req.query.limit ? Number(req.query.limit) : 100;
+    const page = req.query.page ? Number(req.query.page) : 1;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({ entries, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error while fetching audit log' });
+  }
+});
+
+module.exports = router;
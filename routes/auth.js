@@ -4,34 +4,147 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Whitelist = require('../models/Whitelist');
 const ResetCode = require('../models/ResetCode');
+const Session = require('../models/Session');
 const auth = require('../middleware/auth');
+const { isValidTimeZone } = require('../utils/timezone');
+const { rescheduleReminders } = require('../services/reminders');
+const { getTransport } = require('../services/transports');
+const { publish } = require('../services/events');
+const { recordAudit } = require('../services/audit');
+const { PERMISSIONS, permissionsFor } = require('../utils/roles');
+const DomainRule = require('../models/DomainRule');
+const {
+  findInvitationByToken,
+  sendEmailVerification,
+  resolveRegistration,
+  completeRegistration
+} = require('../services/invitations');
+const { rateLimit, byIp, byEmail } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
-// Generate JWT token with enhanced security
-const generateToken = (userId) => {
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Minimum time between self-service reset emails to one address
+const FORGOT_PASSWORD_COOLDOWN_SECONDS = Number(process.env.FORGOT_PASSWORD_COOLDOWN_SECONDS) || 60;
+
+// Public routes that may send mail answer this long after the request whether or not they sent
+// anything, so the response time doesn't tell which addresses have accounts. The mail itself is
+// awaited, since Lambda freezes the process after the response; only a slower mail server shows.
+const MAIL_RESPONSE_DELAY_MS = Number(process.env.MAIL_RESPONSE_DELAY_MS) || 3000;
+
+const waitUntil = (time) => new Promise(resolve => setTimeout(resolve, Math.max(0, time - Date.now())));
+
+// Attempt limits per client IP and per account. Verifying a code and resetting the password
+// share one budget, so splitting guesses across the two routes gains nothing.
+const loginLimits = [
+  rateLimit({ name: 'login:ip', max: 20, windowMinutes: 15, key: byIp }),
+  rateLimit({ name: 'login:account', max: 10, windowMinutes: 15, key: byEmail, type: 'account' })
+];
+const resetCodeLimits = [
+  rateLimit({ name: 'reset-code:ip', max: 10, windowMinutes: 15, key: byIp }),
+  rateLimit({ name: 'reset-code:account', max: 5, windowMinutes: 15, key: byEmail, type: 'account' })
+];
+const forgotPasswordLimits = [
+  rateLimit({ name: 'forgot-password:ip', max: 10, windowMinutes: 60, key: byIp })
+];
+const verifyEmailLimits = [
+  rateLimit({ name: 'verify-email:ip', max: 10, windowMinutes: 60, key: byIp }),
+  rateLimit({ name: 'verify-email:account', max: 3, windowMinutes: 60, key: byEmail, type: 'account' })
+];
+
+// Count a wrong reset code against the email's active codes; audits each code it uses up
+const recordWrongResetCode = async (req, user) => {
+  const invalidated = await ResetCode.recordFailedAttempt(user.email);
+  for (const resetCode of invalidated) {
+    await recordAudit(req, {
+      action: 'auth.reset_code_invalidated',
+      actor: user,
+      target: { type: 'user', id: user._id, label: user.email },
+      after: { resetCodeId: resetCode._id, failedAttempts: resetCode.failedAttempts }
+    });
+  }
+};
+
+// Issue and email a self-service reset code, if the account may reset its password and no
+// recent code is still usable. Mail errors are only logged; the user can still ask an admin.
+const sendResetCode = async (req, email) => {
+  // Same rules as reset-password: the account must exist and still be whitelisted
+  const user = await User.findOne({ email });
+  if (!user || !(await Whitelist.exists({ email }))) return;
+
+  // Do not resend while a recent self-service code is still usable
+  const recentCode = await ResetCode.exists({
+    email,
+    source: 'self_service',
+    isUsed: false,
+    createdAt: { $gt: new Date(Date.now() - FORGOT_PASSWORD_COOLDOWN_SECONDS * 1000) }
+  });
+  if (recentCode) return;
+
+  const resetCode = await ResetCode.issue(email);
+  await recordAudit(req, {
+    action: 'auth.password_reset_requested',
+    actor: user,
+    target: { type: 'user', id: user._id, label: email },
+    after: resetCode
+  });
+  const minutes = Math.round((resetCode.expiresAt - Date.now()) / 60000);
+
+  try {
+    await getTransport('email').send({
+      to: email,
+      subject: 'Your Organix password reset code',
+      text: `Hi ${user.name},\n\nYour password reset code is ${resetCode.code}. It expires in ${minutes} minutes.\n\n` +
+        (user.isLocked()
+          ? 'Your account is temporarily locked after too many failed login attempts; resetting your password unlocks it.\n\n'
+          : '') +
+        'If you did not ask to reset your password, you can ignore this email.\n\n- Organix'
+    });
+  } catch (mailError) {
+    console.error('Forgot password email error:', mailError.message);
+  }
+};
+
+// Permissions included in user responses so clients can show or hide admin features
+const userPermissions = (user) => (user.isSuperAdmin ? PERMISSIONS : permissionsFor(user.role));
+
+// Generate short-lived JWT access token bound to a server-side session
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
     { 
       userId,
+      sid: sessionId, // Session the token belongs to, checked on every request
       iat: Math.floor(Date.now() / 1000), // Issued at time
       type: 'access' // Token type
     }, 
     process.env.JWT_SECRET, 
     { 
-      expiresIn: '7d', // 7 days expiration
+      expiresIn: ACCESS_TOKEN_TTL,
       issuer: 'todo-app', // Token issuer
       audience: 'todo-users' // Token audience
     }
   );
 };
 
+// Open a session and return the access/refresh token pair
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await Session.issue(user._id, req);
+  return { token: generateToken(user._id, session._id), refreshToken };
+};
+
 // @route   POST /api/auth/register
-// @desc    Register a new user
+// @desc    Register a new user. Needs an invitation (invitationToken from the invitation link),
+//          a whitelist entry for the email, or a domain rule covering it together with the
+//          emailVerificationToken from POST /api/auth/verify-email.
 // @access  Public
 router.post('/register', [
   body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Time zone must be a valid IANA time zone'),
+  body('invitationToken').optional().isString().notEmpty().withMessage('Invitation token must be a string'),
+  body('emailVerificationToken').optional().isString().notEmpty().withMessage('Email verification token must be a string')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -39,7 +152,7 @@ router.post('/register', [
       return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
     }
 
-    const { name, email, password } = req.body;
+    const { name, email, password, timezone, invitationToken, emailVerificationToken } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -47,54 +160,55 @@ router.post('/register', [
       return res.status(400).json({ message: 'User already exists with this email' });
     }
 
-    // Check if email is whitelisted (skip for admin email)
-    if (email !== 'admin@afterlife.org.in') {
-      const whitelistEntry = await Whitelist.findOne({ email });
-      if (!whitelistEntry) {
-        return res.status(403).json({ 
-          message: 'Email not authorized. Please contact admin to whitelist your email address.' 
-        });
-      }
-
-      // Check if whitelist entry has already been used
-      if (whitelistEntry.isUsed) {
-        return res.status(400).json({ message: 'This email has already been used for registration' });
-      }
+    // Check the invitation, whitelist entry or domain rule that lets this email register
+    const registration = await resolveRegistration(email, invitationToken, emailVerificationToken);
+    if (registration.error) {
+      return res.status(registration.status).json({
+        message: registration.error,
+        ...(registration.verificationRequired && { verificationRequired: true })
+      });
     }
 
-    // List of emails that should automatically get admin access
-    const adminEmails = [
-      'admin@afterlife.org.in',
-      'xanderash44@gmail.com',
-      'ashrith@afterlife.org.in',
-      'dhanush@afterlife.org.in',
-      'austinak@afterlife.org.in'
-    ];
-
-    // Create new user with admin access if email is in the list
-    const isAdmin = adminEmails.includes(email);
-    const user = new User({ name, email, password, isAdmin });
+    // New users join the organization, with the role, of whatever let them in;
+    // other roles are granted by an admin (PUT /api/admin/users/:id/role)
+    const user = new User({
+      name,
+      email,
+      password,
+      organization: registration.organization,
+      role: registration.role,
+      lastLoginAt: new Date()
+    });
+    if (timezone) {
+      user.timezone = timezone;
+    }
     await user.save();
 
-    // Mark whitelist entry as used (skip for admin email)
-    if (email !== 'admin@afterlife.org.in') {
-      await Whitelist.findOneAndUpdate(
-        { email },
-        { isUsed: true, usedBy: user._id }
-      );
-    }
+    // Mark the whitelist entry or invitation as used and hand out invited tasks
+    await completeRegistration(user, registration);
+
+    await publish('user.registered', {
+      user,
+      data: { user: { id: user._id, name: user.name, email: user.email, timezone: user.timezone } }
+    });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate tokens
+    const { token, refreshToken } = await startSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        isAdmin: user.isAdmin
+        role: user.role,
+        permissions: userPermissions(user),
+        isAdmin: user.isAdmin,
+        isSuperAdmin: user.isSuperAdmin,
+        organization: user.organization,
+        timezone: user.timezone
       }
     });
   } catch (error) {
@@ -103,12 +217,74 @@ router.post('/register', [
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Email a verification link to an address covered by a domain rule, needed to register
+//          through the rule. The response is the same, and takes as long, whichever address is given.
+// @access  Public
+router.post('/verify-email', [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  ...verifyEmailLimits
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { email } = req.body;
+    const respondAt = Date.now() + MAIL_RESPONSE_DELAY_MS;
+
+    // Only addresses that register through a domain rule need (and get) a link
+    const needsVerification = !(await User.exists({ email })) && !(await Whitelist.exists({ email })) &&
+      Boolean(await DomainRule.findForEmail(email));
+    if (needsVerification) {
+      try {
+        await sendEmailVerification(email);
+      } catch (mailError) {
+        console.error('Email verification error:', mailError.message);
+      }
+    }
+    await waitUntil(respondAt);
+
+    res.json({ message: 'If this email can register, a verification link has been sent to it.' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error while sending verification email' });
+  }
+});
+
+// @route   GET /api/auth/invitations/:token
+// @desc    Check an invitation link before showing the registration form
+// @access  Public
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const { invitation, error } = await findInvitationByToken(req.params.token);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await invitation.populate('organization', 'name');
+    res.json({
+      invitation: {
+        email: invitation.email,
+        organization: invitation.organization ? invitation.organization.name : null,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Check invitation error:', error);
+    res.status(500).json({ message: 'Server error while checking invitation' });
+  }
+});
+
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
 router.post('/login', [
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
-  body('password').exists().withMessage('Password is required')
+  body('password').exists().withMessage('Password is required'),
+  ...loginLimits
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -124,23 +300,59 @@ router.post('/login', [
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    // Locked accounts are refused without checking the password, so guessing gets nowhere.
+    // The answer matches an unknown email so a lock doesn't confirm the account exists;
+    // the owner learns about it from the password reset email.
+    if (user.isLocked()) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const lockedUntil = await user.recordFailedLogin();
+      if (lockedUntil) {
+        await recordAudit(req, {
+          action: 'auth.account_locked',
+          actor: user,
+          target: { type: 'user', id: user._id, label: user.email },
+          after: { lockedUntil }
+        });
+      }
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Suspended users are turned away; users who must change their password get a session
+    // that can only do that (see middleware/auth.js)
+    const block = auth.accountBlock(user, { allowPasswordChange: true });
+    if (block) {
+      return res.status(403).json(block);
+    }
+
+    user.lastLoginAt = new Date();
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
+    await user.save();
+
+    // Generate tokens
+    const { token, refreshToken } = await startSession(user, req);
 
     res.json({
-      message: 'Login successful',
+      message: user.passwordResetRequired ? 'Login successful. Please change your password.' : 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        isAdmin: user.isAdmin
+        role: user.role,
+        permissions: userPermissions(user),
+        isAdmin: user.isAdmin,
+        isSuperAdmin: user.isSuperAdmin,
+        organization: user.organization,
+        timezone: user.timezone,
+        passwordResetRequired: user.passwordResetRequired,
+        deletionScheduledFor: user.deletionScheduledFor
       }
     });
   } catch (error) {
@@ -152,14 +364,21 @@ router.post('/login', [
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', auth, async (req, res) => {
+router.get('/me', auth.allowPasswordChange, async (req, res) => {
   try {
     res.json({
       user: {
         id: req.user._id,
         name: req.user.name,
         email: req.user.email,
-        isAdmin: req.user.isAdmin
+        role: req.user.role,
+        permissions: userPermissions(req.user),
+        isAdmin: req.user.isAdmin,
+        isSuperAdmin: req.user.isSuperAdmin,
+        organization: req.user.organization,
+        timezone: req.user.timezone,
+        passwordResetRequired: req.user.passwordResetRequired,
+        deletionScheduledFor: req.user.deletionScheduledFor
       }
     });
   } catch (error) {
@@ -168,13 +387,243 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const tokenHash = Session.hashToken(req.body.refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      // A rotated-out token being replayed means it leaked: kill that session
+      const compromised = await Session.findOne({ previousTokenHash: tokenHash });
+      if (compromised && !compromised.revokedAt) {
+        compromised.revokedAt = new Date();
+        await compromised.save();
+        console.warn('Refresh token reuse detected, session revoked:', compromised._id);
+      }
+      return res.status(401).json({ message: 'Invalid refresh token. Please login again.' });
+    }
+
+    if (!session.isActive()) {
+      return res.status(401).json({ message: 'Session expired. Please login again.' });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid refresh token. User not found.' });
+    }
+
+    const block = auth.accountBlock(user, { allowPasswordChange: true });
+    if (block) {
+      return res.status(403).json(block);
+    }
+
+    const refreshToken = await session.rotate(req);
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: generateToken(user._id, session._id),
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout (revoke the current session)
+// @access  Private
+router.post('/logout', auth.allowPasswordChange, async (req, res) => {
+  try {
+    req.session.revokedAt = new Date();
+    await req.session.save();
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List current user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session._id.equals(req.session._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error while fetching sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, userId: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    session.revokedAt = new Date();
+    await session.save();
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error while revoking session' });
+  }
+});
+
+// @route   PATCH /api/auth/me
+// @desc    Update current user's profile (name, time zone)
+// @access  Private
+router.patch('/me', [
+  auth,
+  body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters'),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Time zone must be a valid IANA time zone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { name, timezone } = req.body;
+    if (name !== undefined) req.user.name = name;
+    const timezoneChanged = timezone !== undefined && timezone !== req.user.timezone;
+    if (timezone !== undefined) req.user.timezone = timezone;
+    await req.user.save();
+
+    // Reminder times are wall-clock times in the user's zone
+    if (timezoneChanged) {
+      await rescheduleReminders({ userId: req.user._id });
+    }
+
+    res.json({
+      message: 'Profile updated successfully',
+      user: {
+        id: req.user._id,
+        name: req.user.name,
+        email: req.user.email,
+        role: req.user.role,
+        permissions: userPermissions(req.user),
+        isAdmin: req.user.isAdmin,
+        isSuperAdmin: req.user.isSuperAdmin,
+        organization: req.user.organization,
+        timezone: req.user.timezone
+      }
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ message: 'Server error while updating profile' });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change the current user's password (also required after an admin forces a reset).
+//          Every other session is signed out.
+// @access  Private
+router.post('/change-password', [
+  auth.allowPasswordChange,
+  body('currentPassword').exists().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const isMatch = await req.user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    if (await req.user.comparePassword(newPassword)) {
+      return res.status(400).json({ message: 'New password must be different from the current password' });
+    }
+
+    const wasRequired = req.user.passwordResetRequired;
+    req.user.password = newPassword;
+    req.user.passwordResetRequired = false;
+    await req.user.save();
+
+    await Session.updateMany(
+      { userId: req.user._id, revokedAt: null, _id: { $ne: req.session._id } },
+      { revokedAt: new Date() }
+    );
+    await recordAudit(req, {
+      action: 'auth.password_change',
+      target: { type: 'user', id: req.user._id, label: req.user.email },
+      after: { forced: wasRequired }
+    });
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error while changing password' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset code. The response is the same, and takes as long, whether or not
+//          the account exists.
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  ...forgotPasswordLimits
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const respondAt = Date.now() + MAIL_RESPONSE_DELAY_MS;
+    await sendResetCode(req, req.body.email);
+    await waitUntil(respondAt);
+
+    res.json({ message: 'If an account exists for this email, a reset code has been sent.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error while requesting password reset' });
+  }
+});
+
 // @route   POST /api/auth/reset-password
 // @desc    Reset password with access code
 // @access  Public
 router.post('/reset-password', [
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
   body('code').trim().isLength({ min: 6, max: 6 }).withMessage('Access code must be 6 digits'),
-  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  ...resetCodeLimits
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -184,16 +633,11 @@ router.post('/reset-password', [
 
     const { email, code, newPassword } = req.body;
 
-    // Check if user exists
+    // Unknown or no longer whitelisted emails get the same answer as a wrong code,
+    // so these routes don't reveal which addresses have accounts
     const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ message: 'User not found with this email' });
-    }
-
-    // Check if email is whitelisted
-    const whitelistEntry = await Whitelist.findOne({ email });
-    if (!whitelistEntry) {
-      return res.status(403).json({ message: 'Email is not whitelisted' });
+    if (!user || !(await Whitelist.exists({ email }))) {
+      return res.status(400).json({ message: 'Invalid or expired access code' });
     }
 
     // Find valid reset code
@@ -205,11 +649,16 @@ router.post('/reset-password', [
     });
 
     if (!resetCode) {
+      await recordWrongResetCode(req, user);
       return res.status(400).json({ message: 'Invalid or expired access code' });
     }
 
     // Update password
     user.password = newPassword;
+    user.passwordResetRequired = false;
+    // Proving access to the mailbox also lifts a login lockout
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
     await user.save();
 
     // Mark code as used
@@ -217,6 +666,15 @@ router.post('/reset-password', [
     resetCode.usedAt = new Date();
     await resetCode.save();
 
+    // Sign out every existing session with the old password
+    await Session.revokeAllForUser(user._id);
+    await recordAudit(req, {
+      action: 'auth.password_reset',
+      actor: user,
+      target: { type: 'user', id: user._id, label: email },
+      after: { resetCodeId: resetCode._id, source: resetCode.source }
+    });
+
     res.json({ message: 'Password reset successfully. You can now login with your new password.' });
   } catch (error) {
     console.error('Reset password error:', error);
@@ -229,7 +687,8 @@ router.post('/reset-password', [
 // @access  Public
 router.post('/verify-reset-code', [
   body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
-  body('code').trim().isLength({ min: 6, max: 6 }).withMessage('Access code must be 6 digits')
+  body('code').trim().isLength({ min: 6, max: 6 }).withMessage('Access code must be 6 digits'),
+  ...resetCodeLimits
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -239,16 +698,11 @@ router.post('/verify-reset-code', [
 
     const { email, code } = req.body;
 
-    // Check if user exists
+    // Unknown or no longer whitelisted emails get the same answer as a wrong code,
+    // so these routes don't reveal which addresses have accounts
     const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ message: 'User not found with this email' });
-    }
-
-    // Check if email is whitelisted
-    const whitelistEntry = await Whitelist.findOne({ email });
-    if (!whitelistEntry) {
-      return res.status(403).json({ message: 'Email is not whitelisted' });
+    if (!user || !(await Whitelist.exists({ email }))) {
+      return res.status(400).json({ message: 'Invalid or expired access code' });
     }
 
     // Find valid reset code
@@ -260,6 +714,7 @@ router.post('/verify-reset-code', [
     });
 
     if (!resetCode) {
+      await recordWrongResetCode(req, user);
       return res.status(400).json({ message: 'Invalid or expired access code' });
     }
 
@@ -0,0 +1,208 @@
+const express = require('express');
+const crypto = require('crypto');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const TaskInstance = require('../models/TaskInstance');
+const auth = require('../middleware/auth');
+const { dateFromKey, addDays, todayInZone, keyFromDate } = require('../utils/timezone');
+const { escapeText, formatDate, formatDateTime, property, component, buildCalendar } = require('../utils/ical');
+
+const router = express.Router();
+
+// How far back the feed includes daily completion (VTODO per task instance)
+const FEED_HISTORY_DAYS = 60;
+
+const generateCalendarToken = () => crypto.randomBytes(24).toString('hex');
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}${req.baseUrl}/${token}.ics`;
+
+// Subtasks as a checklist for DESCRIPTION
+const describeSubtasks = (subtasks) => subtasks
+  .map(st => `${st.completed ? '[x]' : '[ ]'} ${st.title}${st.notes ? ` - ${st.notes}` : ''}`)
+  .join('\n');
+
+// Add an UNTIL bound from endDate unless the rule already limits itself
+const withEndBound = (recurrence, endDate) => {
+  const rule = recurrence.replace(/^RRULE:/i, '');
+  if (!endDate || /(^|;)(UNTIL|COUNT)=/i.test(rule)) return rule;
+  return `${rule};UNTIL=${formatDate(endDate)}`;
+};
+
+// Date-based task -> VEVENT (all-day, recurring if the task recurs)
+const taskToEvent = (task, stamp, completion) => {
+  const description = [
+    describeSubtasks(task.subtasks),
+    completion ? `Completed ${completion.completed} of ${completion.total} tracked day(s)` : ''
+  ].filter(Boolean).join('\n\n');
+
+  const lines = [
+    property('UID', `task-${task._id}@organix`),
+    property('DTSTAMP', stamp),
+    property('LAST-MODIFIED', formatDateTime(task.updatedAt)),
+    property('SUMMARY', escapeText(task.title)),
+    property('DTSTART', formatDate(task.startDate), { VALUE: 'DATE' }),
+    description && property('DESCRIPTION', escapeText(description)),
+    property('TRANSP', 'TRANSPARENT')
+  ];
+
+  if (task.recurrence) {
+    // Each occurrence is a single day; the rule repeats it
+    lines.push(property('DTEND', formatDate(dateFromKey(addDays(keyFromDate(task.startDate), 1))), { VALUE: 'DATE' }));
+    lines.push(property('RRULE', withEndBound(task.recurrence, task.endDate)));
+    if (task.recurrenceExceptions.length > 0) {
+      lines.push(property('EXDATE', task.recurrenceExceptions.map(formatDate).join(','), { VALUE: 'DATE' }));
+    }
+  } else {
+    // DTEND is exclusive for all-day events
+    lines.push(property('DTEND', formatDate(dateFromKey(addDays(keyFromDate(task.endDate), 1))), { VALUE: 'DATE' }));
+  }
+
+  return component('VEVENT', lines);
+};
+
+// Static task -> VTODO without a due date
+const staticTaskToTodo = (task, stamp) => component('VTODO', [
+  property('UID', `task-${task._id}@organix`),
+  property('DTSTAMP', stamp),
+  property('LAST-MODIFIED', formatDateTime(task.updatedAt)),
+  property('SUMMARY', escapeText(task.title)),
+  task.subtasks.length > 0 && property('DESCRIPTION', escapeText(describeSubtasks(task.subtasks))),
+  property('STATUS', task.completed ? 'COMPLETED' : 'NEEDS-ACTION'),
+  task.completed && property('COMPLETED', formatDateTime(task.updatedAt))
+]);
+
+// One day of a date-based task -> VTODO carrying that day's completion state
+const instanceToTodo = (instance, task, stamp) => {
+  const subtasksById = new Map(task.subtasks.map(st => [st._id.toString(), st]));
+  const checklist = instance.subtaskInstances
+    .filter(si => subtasksById.has(si.subtaskId.toString()))
+    .map(si => ({ ...subtasksById.get(si.subtaskId.toString()).toObject(), completed: si.completed }));
+
+  return component('VTODO', [
+    property('UID', `instance-${instance._id}@organix`),
+    property('DTSTAMP', stamp),
+    property('LAST-MODIFIED', formatDateTime(instance.updatedAt)),
+    property('SUMMARY', escapeText(task.title)),
+    property('DUE', formatDate(instance.date), { VALUE: 'DATE' }),
+    property('RELATED-TO', `task-${task._id}@organix`),
+    checklist.length > 0 && property('DESCRIPTION', escapeText(describeSubtasks(checklist))),
+    property('STATUS', instance.completed ? 'COMPLETED' : 'NEEDS-ACTION'),
+    instance.completed && property('COMPLETED', formatDateTime(instance.updatedAt))
+  ]);
+};
+
+// @route   GET /api/calendar/token
+// @desc    Get the current user's calendar feed URL (null if disabled)
+// @access  Private
+router.get('/token', auth, async (req, res) => {
+  try {
+    const token = req.user.calendarToken;
+    res.json({ token, url: token ? feedUrl(req, token) : null });
+  } catch (error) {
+    console.error('Get calendar token error:', error);
+    res.status(500).json({ message: 'Server error while fetching calendar token' });
+  }
+});
+
+// @route   POST /api/calendar/token
+// @desc    Create or rotate the calendar feed token (old URLs stop working)
+// @access  Private
+router.post('/token', auth, async (req, res) => {
+  try {
+    req.user.calendarToken = generateCalendarToken();
+    await req.user.save();
+
+    res.json({
+      message: 'Calendar feed URL generated successfully',
+      token: req.user.calendarToken,
+      url: feedUrl(req, req.user.calendarToken)
+    });
+  } catch (error) {
+    console.error('Rotate calendar token error:', error);
+    res.status(500).json({ message: 'Server error while generating calendar token' });
+  }
+});
+
+// @route   DELETE /api/calendar/token
+// @desc    Disable the calendar feed
+// @access  Private
+router.delete('/token', auth, async (req, res) => {
+  try {
+    req.user.calendarToken = null;
+    await req.user.save();
+
+    res.json({ message: 'Calendar feed disabled successfully' });
+  } catch (error) {
+    console.error('Disable calendar token error:', error);
+    res.status(500).json({ message: 'Server error while disabling calendar feed' });
+  }
+});
+
+// @route   GET /api/calendar/:token.ics
+// @desc    Read-only iCalendar feed of a user's tasks
+// @access  Public (secret token)
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const { token } = req.params;
+    const user = token && await User.findOne({ calendarToken: token });
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar not found' });
+    }
+
+    const tasks = await Task.find({ userId: user._id }).populate('subtasks').sort({ order: 1, createdAt: -1 });
+    const tasksById = new Map(tasks.map(t => [t._id.toString(), t]));
+
+    // Daily completion for the recent past, from task instances
+    const today = todayInZone(user.timezone);
+    const instances = await TaskInstance.find({
+      userId: user._id,
+      date: { $gte: dateFromKey(addDays(today, -FEED_HISTORY_DAYS)), $lte: dateFromKey(today) }
+    }).sort({ date: 1 });
+
+    const completionByTask = new Map();
+    for (const instance of instances) {
+      const key = instance.taskId.toString();
+      const entry = completionByTask.get(key) || { total: 0, completed: 0 };
+      entry.total++;
+      if (instance.completed) entry.completed++;
+      completionByTask.set(key, entry);
+    }
+
+    const stamp = formatDateTime(new Date());
+    const components = [];
+
+    for (const task of tasks) {
+      if (task.startDate && (task.endDate || task.recurrence)) {
+        components.push(taskToEvent(task, stamp, completionByTask.get(task._id.toString())));
+      } else {
+        components.push(staticTaskToTodo(task, stamp));
+      }
+    }
+
+    for (const instance of instances) {
+      const task = tasksById.get(instance.taskId.toString());
+      if (task) {
+        components.push(instanceToTodo(instance, task, stamp));
+      }
+    }
+
+    const calendar = buildCalendar([
+      'PRODID:-//Organix//Tasks//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      property('X-WR-CALNAME', escapeText(`Organix - ${user.name}`)),
+      property('X-WR-TIMEZONE', user.timezone),
+      'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+      'X-PUBLISHED-TTL:PT1H'
+    ], components);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="organix.ics"');
+    res.send(calendar);
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ message: 'Server error while generating calendar feed' });
+  }
+});
+
+module.exports = router;
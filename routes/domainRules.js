@@ -0,0 +1,161 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const DomainRule = require('../models/DomainRule');
+const auth = require('../middleware/auth');
+const { requirePermission, superAdminAuth, orgScope, targetOrganization } = require('../middleware/admin');
+const { ROLES, canManageRole } = require('../utils/roles');
+const { snapshot, recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// Free mail providers: a rule for one of these would let anyone register
+const PUBLIC_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'yahoo.com',
+  'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com', 'mail.com'
+];
+
+const roleValidator = body('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`);
+
+// @route   GET /api/admin/domain-rules
+// @desc    Get the email domains whose users may register without being whitelisted
+// @access  Private (whitelist.manage)
+router.get('/', auth, requirePermission('whitelist.manage'), async (req, res) => {
+  try {
+    const domainRules = await DomainRule.find(orgScope(req))
+      .populate('createdBy', 'name email')
+      .sort({ domain: 1 });
+
+    res.json({ domainRules, total: domainRules.length });
+  } catch (error) {
+    console.error('Get domain rules error:', error);
+    res.status(500).json({ message: 'Server error while fetching domain rules' });
+  }
+});
+
+// @route   POST /api/admin/domain-rules
+// @desc    Let everyone at a domain register, e.g. { domain: "afterlife.org.in", role: "member",
+//          organizationId }. Only super-admins create rules, since nothing proves that an
+//          organization owns the domain; its admins can then change or delete the rule.
+// @access  Private (Super-admin)
+router.post('/', [
+  auth,
+  superAdminAuth,
+  body('domain').trim().toLowerCase().customSanitizer(value => value.replace(/^@/, ''))
+    .matches(/^([a-z0-9-]+\.)+[a-z]{2,}$/).withMessage('Please enter a valid domain such as example.com'),
+  roleValidator,
+  body('organizationId').optional({ values: 'null' }).isMongoId().withMessage('Valid organization ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { domain, role = 'member', organizationId } = req.body;
+
+    if (PUBLIC_EMAIL_DOMAINS.includes(domain)) {
+      return res.status(400).json({ message: 'Rules for public email providers are not allowed; whitelist or invite those users instead' });
+    }
+    if (!canManageRole(req.user, role)) {
+      return res.status(403).json({ message: `Cannot create a rule granting the ${role} role` });
+    }
+
+    const { organization, error } = await targetOrganization(req, organizationId);
+    if (error) {
+      return res.status(404).json({ message: error });
+    }
+
+    // A domain can only lead into one organization; which one is not revealed here
+    if (await DomainRule.exists({ domain })) {
+      return res.status(400).json({ message: 'A rule cannot be created for this domain' });
+    }
+
+    const domainRule = await DomainRule.create({ domain, role, organization, createdBy: req.user._id });
+    await recordAudit(req, {
+      action: 'domain_rule.create',
+      target: { type: 'domain_rule', id: domainRule._id, label: domain },
+      organization,
+      after: domainRule
+    });
+
+    res.status(201).json({ message: 'Domain rule created successfully', domainRule });
+  } catch (error) {
+    console.error('Create domain rule error:', error);
+    res.status(500).json({ message: 'Server error while creating domain rule' });
+  }
+});
+
+// @route   PUT /api/admin/domain-rules/:id
+// @desc    Change a domain rule's role or turn it on or off
+// @access  Private (whitelist.manage)
+router.put('/:id', [
+  auth,
+  requirePermission('whitelist.manage'),
+  roleValidator,
+  body('active').optional().isBoolean().withMessage('Active must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const domainRule = await DomainRule.findOne({ _id: req.params.id, ...orgScope(req) });
+    if (!domainRule) {
+      return res.status(404).json({ message: 'Domain rule not found' });
+    }
+
+    // Both the current and the new role must be within the admin's reach
+    const { role, active } = req.body;
+    if (!canManageRole(req.user, domainRule.role) || (role !== undefined && !canManageRole(req.user, role))) {
+      return res.status(403).json({ message: 'Cannot change a rule granting a role above your own' });
+    }
+
+    const before = snapshot(domainRule);
+    if (role !== undefined) domainRule.role = role;
+    if (active !== undefined) domainRule.active = active;
+    await domainRule.save();
+    await recordAudit(req, {
+      action: 'domain_rule.update',
+      target: { type: 'domain_rule', id: domainRule._id, label: domainRule.domain },
+      organization: domainRule.organization,
+      before,
+      after: domainRule
+    });
+
+    res.json({ message: 'Domain rule updated successfully', domainRule });
+  } catch (error) {
+    console.error('Update domain rule error:', error);
+    res.status(500).json({ message: 'Server error while updating domain rule' });
+  }
+});
+
+// @route   DELETE /api/admin/domain-rules/:id
+// @desc    Delete a domain rule (users who already registered through it keep their accounts)
+// @access  Private (whitelist.manage)
+router.delete('/:id', auth, requirePermission('whitelist.manage'), async (req, res) => {
+  try {
+    const domainRule = await DomainRule.findOne({ _id: req.params.id, ...orgScope(req) });
+    if (!domainRule) {
+      return res.status(404).json({ message: 'Domain rule not found' });
+    }
+    if (!canManageRole(req.user, domainRule.role)) {
+      return res.status(403).json({ message: 'Cannot delete a rule granting a role above your own' });
+    }
+
+    await DomainRule.deleteOne({ _id: domainRule._id });
+    await recordAudit(req, {
+      action: 'domain_rule.delete',
+      target: { type: 'domain_rule', id: domainRule._id, label: domainRule.domain },
+      organization: domainRule.organization,
+      before: domainRule
+    });
+
+    res.json({ message: 'Domain rule deleted successfully' });
+  } catch (error) {
+    console.error('Delete domain rule error:', error);
+    res.status(500).json({ message: 'Server error while deleting domain rule' });
+  }
+});
+
+module.exports = router;
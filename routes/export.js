@@ -0,0 +1,188 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const TaskInstance = require('../models/TaskInstance');
+const auth = require('../middleware/auth');
+const { requirePermission, orgScope } = require('../middleware/admin');
+const { keyFromDate, dateFromKey, resolveDateRange } = require('../utils/timezone');
+const { toCSV } = require('../utils/csv');
+
+const router = express.Router();
+
+const TASK_COLUMNS = ['id', 'title', 'type', 'startDate', 'endDate', 'recurrence', 'recurrenceExceptions', 'priority', 'dueTime', 'completed', 'subtasks', 'subtasksCompleted', 'createdAt'];
+const INSTANCE_COLUMNS = ['date', 'taskId', 'taskTitle', 'completed', 'subtasksCompleted', 'subtasksTotal'];
+const USER_COLUMNS = ['userName', 'userEmail'];
+
+const taskType = (task) => {
+  if (task.recurrence) return 'recurring';
+  return task.startDate && task.endDate ? 'dated' : 'static';
+};
+
+// Subtask titles are joined with " | " (the CSV import splits on "|")
+const taskRow = (task) => ({
+  id: task._id,
+  title: task.title,
+  type: taskType(task),
+  startDate: task.startDate ? keyFromDate(task.startDate) : '',
+  endDate: task.endDate ? keyFromDate(task.endDate) : '',
+  recurrence: task.recurrence || '',
+  recurrenceExceptions: (task.recurrenceExceptions || []).map(keyFromDate).join(' '),
+  priority: task.priority,
+  dueTime: task.dueTime || '',
+  completed: task.completed,
+  subtasks: task.subtasks.map(st => st.title).join(' | '),
+  subtasksCompleted: task.subtasks.filter(st => st.completed).length,
+  createdAt: task.createdAt
+});
+
+const instanceRow = (instance) => ({
+  date: keyFromDate(instance.date),
+  taskId: instance.taskId ? instance.taskId._id : '',
+  taskTitle: instance.taskId ? instance.taskId.title : '',
+  completed: instance.completed,
+  subtasksCompleted: instance.subtaskInstances.filter(si => si.completed).length,
+  subtasksTotal: instance.subtaskInstances.length
+});
+
+const userColumns = (user) => ({
+  userName: user ? user.name : '',
+  userEmail: user ? user.email : ''
+});
+
+const sendCSV = (res, filename, columns, rows) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(toCSV(columns, rows));
+};
+
+// Users an admin export covers: one user (?userId=) or everyone in the admin's organization
+const resolveExportUsers = async (req) => {
+  const filter = orgScope(req);
+  if (req.query.userId) {
+    filter._id = req.query.userId;
+  }
+  return User.find(filter).select('name email');
+};
+
+// @route   GET /api/export/tasks.csv
+// @desc    Export the current user's tasks and subtasks as CSV
+// @access  Private
+router.get('/tasks.csv', auth, async (req, res) => {
+  try {
+    const tasks = await Task.find({ userId: req.user._id })
+      .populate('subtasks')
+      .sort({ order: 1, createdAt: -1 });
+
+    sendCSV(res, 'tasks.csv', TASK_COLUMNS, tasks.map(taskRow));
+  } catch (error) {
+    console.error('Export tasks error:', error);
+    res.status(500).json({ message: 'Server error while exporting tasks' });
+  }
+});
+
+// @route   GET /api/export/instances.csv
+// @desc    Export the current user's daily completion as CSV (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+// @access  Private
+router.get('/instances.csv', auth, async (req, res) => {
+  try {
+    const { error, from, to } = resolveDateRange(req.query, req.user.timezone, { defaultDays: 30, maxDays: 366 });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const instances = await TaskInstance.find({
+      userId: req.user._id,
+      date: { $gte: dateFromKey(from), $lte: dateFromKey(to) }
+    })
+      .populate('taskId', 'title')
+      .sort({ date: 1 });
+
+    sendCSV(res, `instances-${from}-to-${to}.csv`, INSTANCE_COLUMNS, instances.map(instanceRow));
+  } catch (error) {
+    console.error('Export instances error:', error);
+    res.status(500).json({ message: 'Server error while exporting task instances' });
+  }
+});
+
+// @route   GET /api/export/admin/tasks.csv
+// @desc    Export tasks of one user (?userId=) or everyone in the admin's organization
+// @access  Private (data.export)
+router.get('/admin/tasks.csv', [
+  auth,
+  requirePermission('data.export'),
+  query('userId').optional().isMongoId().withMessage('Valid user ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const users = await resolveExportUsers(req);
+    if (req.query.userId && users.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const usersById = new Map(users.map(u => [u._id.toString(), u]));
+    const tasks = await Task.find({ userId: { $in: users.map(u => u._id) } })
+      .populate('subtasks')
+      .sort({ userId: 1, order: 1, createdAt: -1 });
+
+    const rows = tasks.map(task => ({
+      ...userColumns(usersById.get(task.userId.toString())),
+      ...taskRow(task)
+    }));
+
+    sendCSV(res, 'all-tasks.csv', [...USER_COLUMNS, ...TASK_COLUMNS], rows);
+  } catch (error) {
+    console.error('Admin export tasks error:', error);
+    res.status(500).json({ message: 'Server error while exporting tasks' });
+  }
+});
+
+// @route   GET /api/export/admin/instances.csv
+// @desc    Export daily completion of one user (?userId=) or everyone in the admin's organization
+// @access  Private (data.export)
+router.get('/admin/instances.csv', [
+  auth,
+  requirePermission('data.export'),
+  query('userId').optional().isMongoId().withMessage('Valid user ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { error, from, to } = resolveDateRange(req.query, req.user.timezone, { defaultDays: 30, maxDays: 366 });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const users = await resolveExportUsers(req);
+    if (req.query.userId && users.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const usersById = new Map(users.map(u => [u._id.toString(), u]));
+    const instances = await TaskInstance.find({
+      userId: { $in: users.map(u => u._id) },
+      date: { $gte: dateFromKey(from), $lte: dateFromKey(to) }
+    })
+      .populate('taskId', 'title')
+      .sort({ userId: 1, date: 1 });
+
+    const rows = instances.map(instance => ({
+      ...userColumns(usersById.get(instance.userId.toString())),
+      ...instanceRow(instance)
+    }));
+
+    sendCSV(res, `all-instances-${from}-to-${to}.csv`, [...USER_COLUMNS, ...INSTANCE_COLUMNS], rows);
+  } catch (error) {
+    console.error('Admin export instances error:', error);
+    res.status(500).json({ message: 'Server error while exporting task instances' });
+  }
+});
+
+module.exports = router;
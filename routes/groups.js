@@ -0,0 +1,165 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const UserGroup = require('../models/UserGroup');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { requirePermission, orgScope } = require('../middleware/admin');
+const { snapshot, recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// Helper to check that every member ID belongs to a user the admin can manage
+const findInvalidMembers = async (req, memberIds) => {
+  const users = await User.find({ _id: { $in: memberIds }, ...orgScope(req) }).select('_id');
+  const found = new Set(users.map(u => u._id.toString()));
+  return memberIds.filter(id => !found.has(id.toString()));
+};
+
+// @route   GET /api/admin/groups
+// @desc    Get all user groups
+// @access  Private (groups.manage)
+router.get('/', auth, requirePermission('groups.manage'), async (req, res) => {
+  try {
+    const groups = await UserGroup.find(orgScope(req))
+      .populate('members', 'name email')
+      .sort({ name: 1 });
+
+    res.json({ groups, total: groups.length });
+  } catch (error) {
+    console.error('Get groups error:', error);
+    res.status(500).json({ message: 'Server error while fetching groups' });
+  }
+});
+
+// @route   POST /api/admin/groups
+// @desc    Create a named user group
+// @access  Private (groups.manage)
+router.post('/', [
+  auth,
+  requirePermission('groups.manage'),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('memberIds').optional().isArray().withMessage('Member IDs must be an array'),
+  body('memberIds.*').isMongoId().withMessage('Member IDs must be valid user IDs')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { name } = req.body;
+    const memberIds = [...new Set(req.body.memberIds || [])];
+    const organization = req.user.organization || null;
+
+    const invalidMembers = await findInvalidMembers(req, memberIds);
+    if (invalidMembers.length > 0) {
+      return res.status(400).json({ message: 'Some members were not found', invalidMembers });
+    }
+
+    if (await UserGroup.exists({ organization, name })) {
+      return res.status(400).json({ message: 'A group with this name already exists' });
+    }
+
+    const group = new UserGroup({
+      name,
+      organization,
+      members: memberIds,
+      createdBy: req.user._id
+    });
+    await group.save();
+    await recordAudit(req, {
+      action: 'group.create',
+      target: { type: 'group', id: group._id, label: group.name },
+      organization,
+      after: group
+    });
+    await group.populate('members', 'name email');
+
+    res.status(201).json({ message: 'Group created successfully', group });
+  } catch (error) {
+    console.error('Create group error:', error);
+    res.status(500).json({ message: 'Server error while creating group' });
+  }
+});
+
+// @route   PUT /api/admin/groups/:id
+// @desc    Rename a group or replace its members
+// @access  Private (groups.manage)
+router.put('/:id', [
+  auth,
+  requirePermission('groups.manage'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('memberIds').optional().isArray().withMessage('Member IDs must be an array'),
+  body('memberIds.*').isMongoId().withMessage('Member IDs must be valid user IDs')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const group = await UserGroup.findOne({ _id: req.params.id, ...orgScope(req) });
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    const before = snapshot(group);
+    const { name, memberIds } = req.body;
+
+    if (name !== undefined && name !== group.name &&
+        await UserGroup.exists({ organization: group.organization, name })) {
+      return res.status(400).json({ message: 'A group with this name already exists' });
+    }
+
+    if (memberIds !== undefined) {
+      const uniqueIds = [...new Set(memberIds)];
+      const invalidMembers = await findInvalidMembers(req, uniqueIds);
+      if (invalidMembers.length > 0) {
+        return res.status(400).json({ message: 'Some members were not found', invalidMembers });
+      }
+      group.members = uniqueIds;
+    }
+
+    if (name !== undefined) group.name = name;
+    await group.save();
+    await recordAudit(req, {
+      action: 'group.update',
+      target: { type: 'group', id: group._id, label: group.name },
+      organization: group.organization,
+      before,
+      after: group
+    });
+    await group.populate('members', 'name email');
+
+    res.json({ message: 'Group updated successfully', group });
+  } catch (error) {
+    console.error('Update group error:', error);
+    res.status(500).json({ message: 'Server error while updating group' });
+  }
+});
+
+// @route   DELETE /api/admin/groups/:id
+// @desc    Delete a group (its members are not affected)
+// @access  Private (groups.manage)
+router.delete('/:id', auth, requirePermission('groups.manage'), async (req, res) => {
+  try {
+    const group = await UserGroup.findOneAndDelete({ _id: req.params.id, ...orgScope(req) });
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'group.delete',
+      target: { type: 'group', id: group._id, label: group.name },
+      organization: group.organization,
+      before: group
+    });
+
+    res.json({ message: 'Group deleted successfully' });
+  } catch (error) {
+    console.error('Delete group error:', error);
+    res.status(500).json({ message: 'Server error while deleting group' });
+  }
+});
+
+module.exports = router;
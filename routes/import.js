@@ -0,0 +1,475 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Subtask = require('../models/Subtask');
+const auth = require('../middleware/auth');
+const { validationResult } = require('express-validator');
+const { taskCreateValidators, resolveTaskDates } = require('../validators/task');
+const { validateRRule } = require('../utils/recurrence');
+const { addDays, getZonedParts, dateKeyInZone } = require('../utils/timezone');
+const { parseCalendar, getProperty, getProperties, unescapeText } = require('../utils/ical');
+const { parseCSVWithHeader } = require('../utils/csv');
+const { notify } = require('../services/live');
+
+const router = express.Router();
+
+const MAX_IMPORT_ENTRIES = 1000;
+
+// Raw uploads (text/calendar, text/csv or plain text); JSON bodies are handled by the app-wide parser
+const rawText = express.text({ type: ['text/calendar', 'text/csv', 'text/plain', 'application/octet-stream'], limit: '2mb' });
+
+// Columns understood by the CSV import (matched case-insensitively)
+const CSV_COLUMNS = ['title', 'startDate', 'endDate', 'recurrence', 'recurrenceExceptions', 'priority', 'dueTime', 'subtasks'];
+
+const isDryRun = (req) => ['true', '1', 'yes'].includes(String(req.query.dryRun).toLowerCase());
+
+// DTSTART/DTEND/DUE/EXDATE value -> calendar day in the user's zone.
+// UTC times are shifted into the user's zone; TZID and floating times keep the day as written.
+const parseIcsDate = (value, timezone) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  if (!hour) {
+    return { key: `${year}-${month}-${day}`, isDate: true, isMidnight: true };
+  }
+
+  if (utc) {
+    const instant = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    const parts = getZonedParts(instant, timezone);
+    return {
+      key: dateKeyInZone(instant, timezone),
+      isDate: false,
+      isMidnight: parts.hour === 0 && parts.minute === 0 && parts.second === 0
+    };
+  }
+
+  return {
+    key: `${year}-${month}-${day}`,
+    isDate: false,
+    isMidnight: hour === '00' && minute === '00' && second === '00'
+  };
+};
+
+// Whole days in a DURATION such as P3D or P1W (time parts are ignored)
+const durationDays = (value) => {
+  const match = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T[\dHMS]*)?$/.exec(value.trim());
+  if (!match) return null;
+  return Number(match[1] || 0) * 7 + Number(match[2] || 0);
+};
+
+// Checklist lines ("[ ] item" / "[x] item") in a description become subtasks
+const parseChecklist = (description) => {
+  const subtasks = [];
+  const otherLines = [];
+  for (const line of description.split('\n')) {
+    const match = /^\s*[-*]?\s*\[( |x|X)\]\s+(.+)$/.exec(line);
+    if (match) {
+      subtasks.push({ title: match[2].trim().slice(0, 150), completed: match[1] !== ' ' });
+    } else if (line.trim() && !/^Completed \d+ of \d+ tracked day/.test(line)) {
+      otherLines.push(line);
+    }
+  }
+  return { subtasks, hasOtherText: otherLines.length > 0 };
+};
+
+// Map one VEVENT/VTODO to task data. Returns an entry with either `task` or `error`.
+const mapComponent = (comp, timezone) => {
+  const uidProp = getProperty(comp, 'UID');
+  const entry = {
+    uid: uidProp ? uidProp.value.trim() : null,
+    type: comp.type,
+    title: null,
+    warnings: []
+  };
+
+  const summary = getProperty(comp, 'SUMMARY');
+  entry.title = summary ? unescapeText(summary.value).trim() : null;
+
+  if (!entry.uid) {
+    entry.warnings.push('No UID; duplicates of this entry cannot be detected');
+  }
+  if (getProperty(comp, 'RECURRENCE-ID')) {
+    return { ...entry, error: 'Changes to a single occurrence (RECURRENCE-ID) are not supported' };
+  }
+  if (entry.uid && /^instance-[a-f0-9]{24}@organix$/.test(entry.uid)) {
+    return { ...entry, error: 'Daily completion entries from an Organix feed are not imported' };
+  }
+  if (!entry.title) {
+    return { ...entry, error: 'Missing SUMMARY to use as the task title' };
+  }
+  if (entry.title.length > 200) {
+    entry.title = entry.title.slice(0, 200);
+    entry.warnings.push('Title was truncated to 200 characters');
+  }
+
+  // Dates: events use DTSTART/DTEND (or DURATION), to-dos use DTSTART/DUE
+  const startProp = getProperty(comp, 'DTSTART') || (comp.type === 'VTODO' ? getProperty(comp, 'DUE') : null);
+  const endProp = comp.type === 'VEVENT' ? getProperty(comp, 'DTEND') : getProperty(comp, 'DUE');
+  const durationProp = comp.type === 'VEVENT' ? getProperty(comp, 'DURATION') : null;
+
+  let startKey = null;
+  let endKey = null;
+
+  if (startProp) {
+    const start = parseIcsDate(startProp.value, timezone);
+    if (!start) {
+      return { ...entry, error: `Unrecognized ${startProp.name} value "${startProp.value}"` };
+    }
+    startKey = start.key;
+    endKey = startKey;
+
+    if (endProp && endProp !== startProp) {
+      const end = parseIcsDate(endProp.value, timezone);
+      if (!end) {
+        return { ...entry, error: `Unrecognized ${endProp.name} value "${endProp.value}"` };
+      }
+      endKey = end.key;
+      // DTEND is exclusive: an all-day event ending "tomorrow at midnight" ends today
+      if (comp.type === 'VEVENT' && end.isMidnight && endKey > startKey) {
+        endKey = addDays(endKey, -1);
+      }
+    } else if (durationProp) {
+      const days = durationDays(durationProp.value);
+      if (days === null) {
+        return { ...entry, error: `Unrecognized DURATION value "${durationProp.value}"` };
+      }
+      endKey = addDays(startKey, Math.max(days - (start.isDate ? 1 : 0), 0));
+    }
+  }
+
+  // Recurrence
+  const rrules = getProperties(comp, 'RRULE');
+  let recurrence = null;
+  let recurrenceExceptions = [];
+
+  if (rrules.length > 1) {
+    return { ...entry, error: 'Multiple RRULE properties are not supported' };
+  }
+  if (rrules.length === 1) {
+    const ruleError = validateRRule(rrules[0].value);
+    if (ruleError) {
+      return { ...entry, error: `Recurrence rule could not be mapped: ${ruleError}` };
+    }
+    if (!startKey) {
+      return { ...entry, error: 'Recurring entry has no DTSTART' };
+    }
+    recurrence = rrules[0].value.trim();
+    if (endKey !== startKey) {
+      entry.warnings.push('Occurrences span several days; only their first day is tracked');
+    }
+    endKey = null;
+
+    for (const exdate of getProperties(comp, 'EXDATE')) {
+      for (const value of exdate.value.split(',')) {
+        const parsed = parseIcsDate(value, timezone);
+        if (parsed) {
+          recurrenceExceptions.push(parsed.key);
+        } else {
+          entry.warnings.push(`Ignored unrecognized EXDATE value "${value}"`);
+        }
+      }
+    }
+  }
+  if (getProperty(comp, 'RDATE')) {
+    entry.warnings.push('RDATE is not supported and was ignored');
+  }
+
+  const { error, fields } = resolveTaskDates({ startDate: startKey, endDate: endKey, recurrence, recurrenceExceptions }, timezone);
+  if (error) {
+    return { ...entry, error };
+  }
+
+  // Subtasks from a checklist description
+  let subtasks = [];
+  const description = getProperty(comp, 'DESCRIPTION');
+  if (description) {
+    const checklist = parseChecklist(unescapeText(description.value));
+    subtasks = checklist.subtasks;
+    if (checklist.hasOtherText) {
+      entry.warnings.push('Description text other than checklist items was not imported');
+    }
+  }
+
+  // Completion only carries over for tasks without dates
+  const status = getProperty(comp, 'STATUS');
+  const completed = !fields.startDate && Boolean(status) && status.value.trim().toUpperCase() === 'COMPLETED';
+
+  return {
+    ...entry,
+    task: { title: entry.title, completed, ...fields },
+    subtasks
+  };
+};
+
+// @route   POST /api/import/ics
+// @desc    Import tasks from an iCalendar file (?dryRun=true to preview)
+// @access  Private
+router.post('/ics', auth, rawText, async (req, res) => {
+  try {
+    const text = typeof req.body === 'string' ? req.body : req.body && req.body.ics;
+    if (!text || !String(text).trim()) {
+      return res.status(400).json({ message: 'Upload an iCalendar file as text/calendar or JSON { "ics": "..." }' });
+    }
+
+    let calendars;
+    try {
+      calendars = parseCalendar(text);
+    } catch (parseError) {
+      return res.status(400).json({ message: `Invalid iCalendar file: ${parseError.message}` });
+    }
+
+    const components = calendars
+      .filter(c => c.type === 'VCALENDAR')
+      .flatMap(c => c.components)
+      .filter(c => c.type === 'VEVENT' || c.type === 'VTODO');
+
+    if (components.length === 0) {
+      return res.status(400).json({ message: 'No VEVENT or VTODO entries found' });
+    }
+    if (components.length > MAX_IMPORT_ENTRIES) {
+      return res.status(400).json({ message: `Files with more than ${MAX_IMPORT_ENTRIES} entries are not supported` });
+    }
+
+    const dryRun = isDryRun(req);
+    const entries = components.map(comp => mapComponent(comp, req.user.timezone));
+
+    // Duplicates: UIDs already imported, tasks exported from this account, or repeats in the file
+    const uids = entries.map(e => e.uid).filter(Boolean);
+    const importedUids = new Set(await Task.find({ userId: req.user._id, externalUid: { $in: uids } }).distinct('externalUid'));
+    const ownTaskIds = uids
+      .map(uid => /^task-([a-f0-9]{24})@organix$/.exec(uid))
+      .filter(Boolean)
+      .map(match => match[1]);
+    const ownTasks = new Set((await Task.find({ _id: { $in: ownTaskIds }, userId: req.user._id }).distinct('_id')).map(String));
+
+    const seen = new Set();
+    const results = [];
+    const taskDocs = [];
+    const subtaskDocs = [];
+    // Orders handed out so far per start day, since nothing is saved until the end
+    const lastOrder = new Map();
+
+    for (const entry of entries) {
+      const { uid, type, title, warnings } = entry;
+      const ownMatch = uid && /^task-([a-f0-9]{24})@organix$/.exec(uid);
+
+      if (entry.error) {
+        results.push({ uid, type, title, status: 'unmapped', reason: entry.error, warnings });
+        continue;
+      }
+      if (uid && (seen.has(uid) || importedUids.has(uid) || (ownMatch && ownTasks.has(ownMatch[1])))) {
+        results.push({ uid, type, title, status: 'duplicate', warnings });
+        continue;
+      }
+      if (uid) seen.add(uid);
+
+      const preview = { ...entry.task, subtasks: entry.subtasks.map(st => st.title) };
+
+      if (dryRun) {
+        results.push({ uid, type, title, status: 'would_create', task: preview, warnings });
+        continue;
+      }
+
+      const taskId = new mongoose.Types.ObjectId();
+      const entrySubtasks = entry.subtasks.map(st => ({
+        _id: new mongoose.Types.ObjectId(),
+        title: st.title,
+        completed: st.completed,
+        notes: '',
+        taskId
+      }));
+
+      const orderKey = entry.task.startDate ? entry.task.startDate.getTime() : 'static';
+      const order = Math.max(
+        await Task.getNextOrder(req.user._id, entry.task.startDate),
+        (lastOrder.get(orderKey) || 0) + 1
+      );
+      lastOrder.set(orderKey, order);
+
+      taskDocs.push({
+        _id: taskId,
+        ...entry.task,
+        userId: req.user._id,
+        organization: req.user.organization,
+        externalUid: uid,
+        order,
+        subtasks: entrySubtasks.map(st => st._id)
+      });
+      subtaskDocs.push(...entrySubtasks);
+      results.push({ uid, type, title, status: 'created', taskId, task: preview, warnings });
+    }
+
+    // All entries or none, so a failure halfway doesn't leave a partial import behind
+    if (taskDocs.length > 0) {
+      const dbSession = await mongoose.startSession();
+      try {
+        await dbSession.withTransaction(async () => {
+          await Task.insertMany(taskDocs, { session: dbSession });
+          if (subtaskDocs.length > 0) {
+            await Subtask.insertMany(subtaskDocs, { session: dbSession });
+          }
+        });
+      } finally {
+        await dbSession.endSession();
+      }
+    }
+
+    const count = (status) => results.filter(r => r.status === status).length;
+    if (count('created') > 0) {
+      await notify({ userId: req.user._id, organization: req.user.organization }, 'tasks.refresh', { reason: 'import' });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Import preview generated' : `Imported ${count('created')} task(s)`,
+      dryRun,
+      summary: {
+        total: results.length,
+        [dryRun ? 'wouldCreate' : 'created']: count(dryRun ? 'would_create' : 'created'),
+        duplicates: count('duplicate'),
+        unmapped: count('unmapped')
+      },
+      entries: results
+    });
+  } catch (error) {
+    console.error('Import calendar error:', error);
+    res.status(500).json({ message: 'Server error while importing calendar' });
+  }
+});
+
+// Run the same validators as POST /api/tasks against one CSV record
+const validateCSVRecord = async (record, timezone) => {
+  const fakeReq = { body: record };
+  for (const validator of taskCreateValidators) {
+    await validator.run(fakeReq);
+  }
+
+  const errors = validationResult(fakeReq).array().map(e => ({ field: e.path, message: e.msg }));
+
+  for (const title of record.subtasks || []) {
+    if (title.length > 150) {
+      errors.push({ field: 'subtasks', message: 'Subtask titles cannot exceed 150 characters' });
+    }
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const { error, fields } = resolveTaskDates(fakeReq.body, timezone);
+  if (error) {
+    return { errors: [{ field: 'startDate', message: error }] };
+  }
+
+  const { title, priority, dueTime } = fakeReq.body;
+  return { task: { title, priority, dueTime, ...fields }, subtasks: record.subtasks || [] };
+};
+
+// @route   POST /api/import/csv
+// @desc    Import tasks with subtasks from CSV (?dryRun=true to validate only).
+//          Columns: title, startDate, endDate, recurrence, recurrenceExceptions, priority, dueTime,
+//          subtasks ("|" separated).
+//          Nothing is created unless every row is valid.
+// @access  Private
+router.post('/csv', auth, rawText, async (req, res) => {
+  try {
+    const text = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+    if (!text || !String(text).trim()) {
+      return res.status(400).json({ message: 'Upload a CSV file as text/csv or JSON { "csv": "..." }' });
+    }
+
+    let parsed;
+    try {
+      parsed = parseCSVWithHeader(text);
+    } catch (parseError) {
+      return res.status(400).json({ message: `Invalid CSV file: ${parseError.message}` });
+    }
+
+    // Map header names onto known columns, ignoring case and unknown columns
+    const columnMap = new Map(CSV_COLUMNS.map(name => [name.toLowerCase(), name]));
+    if (!parsed.columns.some(name => name.toLowerCase() === 'title')) {
+      return res.status(400).json({ message: 'The CSV header must include a "title" column' });
+    }
+    if (parsed.records.length === 0) {
+      return res.status(400).json({ message: 'The CSV file has no data rows' });
+    }
+    if (parsed.records.length > MAX_IMPORT_ENTRIES) {
+      return res.status(400).json({ message: `Files with more than ${MAX_IMPORT_ENTRIES} rows are not supported` });
+    }
+
+    const rows = [];
+    const rowErrors = [];
+
+    for (const [index, raw] of parsed.records.entries()) {
+      const record = {};
+      for (const [header, value] of Object.entries(raw)) {
+        const column = columnMap.get(header.toLowerCase());
+        if (column && value.trim() !== '') {
+          record[column] = value.trim();
+        }
+      }
+      if (record.title === undefined) record.title = '';
+      if (record.recurrenceExceptions) {
+        record.recurrenceExceptions = record.recurrenceExceptions.split(/[\s;]+/).filter(Boolean);
+      }
+      record.subtasks = record.subtasks ? record.subtasks.split('|').map(t => t.trim()).filter(Boolean) : [];
+
+      // Row numbers match the spreadsheet: the header is row 1
+      const row = index + 2;
+      const result = await validateCSVRecord(record, req.user.timezone);
+      if (result.errors) {
+        rowErrors.push({ row, errors: result.errors });
+      } else {
+        rows.push({ row, ...result });
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      return res.status(400).json({
+        message: `Validation failed for ${rowErrors.length} row(s); nothing was imported`,
+        errors: rowErrors
+      });
+    }
+
+    const dryRun = isDryRun(req);
+    const preview = rows.map(({ row, task, subtasks }) => ({ row, ...task, subtasks }));
+
+    if (dryRun) {
+      return res.json({ message: `${rows.length} row(s) are valid`, dryRun, tasks: preview });
+    }
+
+    const created = [];
+    for (const { row, task: taskFields, subtasks } of rows) {
+      const taskId = new mongoose.Types.ObjectId();
+      const subtaskDocs = subtasks.map(title => ({
+        _id: new mongoose.Types.ObjectId(),
+        title,
+        notes: '',
+        taskId
+      }));
+
+      const task = new Task({
+        _id: taskId,
+        ...taskFields,
+        userId: req.user._id,
+        organization: req.user.organization,
+        order: await Task.getNextOrder(req.user._id, taskFields.startDate),
+        subtasks: subtaskDocs.map(st => st._id)
+      });
+      await task.save();
+      if (subtaskDocs.length > 0) {
+        await Subtask.insertMany(subtaskDocs);
+      }
+
+      created.push({ row, taskId, title: task.title });
+    }
+
+    await notify({ userId: req.user._id, organization: req.user.organization }, 'tasks.refresh', { reason: 'import' });
+
+    res.status(201).json({ message: `Imported ${created.length} task(s)`, dryRun, tasks: created });
+  } catch (error) {
+    console.error('Import CSV error:', error);
+    res.status(500).json({ message: 'Server error while importing CSV' });
+  }
+});
+
+module.exports = router;
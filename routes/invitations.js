@@ -0,0 +1,253 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Invitation = require('../models/Invitation');
+const Assignment = require('../models/Assignment');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Whitelist = require('../models/Whitelist');
+const auth = require('../middleware/auth');
+const { requirePermission, orgScope, targetOrganization } = require('../middleware/admin');
+const { ROLES, canManageRole } = require('../utils/roles');
+const {
+  expiryDate,
+  signInvitationToken,
+  invitationLink,
+  sendInvitationEmail
+} = require('../services/invitations');
+const { snapshot, recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+const MAX_EXPIRY_DAYS = 90;
+
+// Query filter for each invitation status (see the status virtual on the model)
+const statusFilter = (status, now = new Date()) => ({
+  pending: { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+  accepted: { acceptedAt: { $ne: null } },
+  revoked: { acceptedAt: null, revokedAt: { $ne: null } },
+  expired: { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } }
+}[status]);
+
+// Email the invitation link; reports whether it went out instead of failing the request,
+// since the admin can still pass the link on themselves
+const deliverInvitation = async (req, invitation, token) => {
+  try {
+    const organization = invitation.organization
+      ? await Organization.findById(invitation.organization).select('name')
+      : null;
+    await sendInvitationEmail(invitation, token, {
+      inviter: req.user,
+      organizationName: organization ? organization.name : null
+    });
+    return true;
+  } catch (error) {
+    console.error('Invitation email error:', error.message);
+    return false;
+  }
+};
+
+// @route   GET /api/admin/invitations
+// @desc    Get invitations (?status=pending|accepted|expired|revoked)
+// @access  Private (whitelist.manage)
+router.get('/', [
+  auth,
+  requirePermission('whitelist.manage'),
+  query('status').optional().isIn(['pending', 'accepted', 'expired', 'revoked'])
+    .withMessage('Status must be pending, accepted, expired or revoked')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const filter = { ...orgScope(req), ...(req.query.status ? statusFilter(req.query.status) : {}) };
+    const invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'name email')
+      .populate('acceptedBy', 'name email')
+      .populate('assignments', 'title')
+      .sort({ createdAt: -1 });
+
+    res.json({ invitations, total: invitations.length });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: 'Server error while fetching invitations' });
+  }
+});
+
+// @route   POST /api/admin/invitations
+// @desc    Invite someone by email, e.g. { email, role: "manager", assignmentIds: [...], expiresInDays: 7 }.
+//          The link is emailed unless sendEmail is false; the token is returned either way.
+// @access  Private (whitelist.manage)
+router.post('/', [
+  auth,
+  requirePermission('whitelist.manage'),
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  body('assignmentIds').optional().isArray().withMessage('Assignment IDs must be an array'),
+  body('assignmentIds.*').isMongoId().withMessage('Assignment IDs must be valid assignment IDs'),
+  body('expiresInDays').optional().isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+    .withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`).toInt(),
+  body('sendEmail').optional().isBoolean().withMessage('sendEmail must be a boolean').toBoolean(),
+  body('organizationId').optional({ values: 'null' }).isMongoId().withMessage('Valid organization ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { email, role = 'member', expiresInDays, sendEmail = true, organizationId } = req.body;
+    const assignmentIds = [...new Set(req.body.assignmentIds || [])];
+
+    if (!canManageRole(req.user, role)) {
+      return res.status(403).json({ message: `Cannot invite users with the ${role} role` });
+    }
+
+    const { organization, error } = await targetOrganization(req, organizationId);
+    if (error) {
+      return res.status(404).json({ message: error });
+    }
+
+    // Specific answers only within the admin's reach; users, invitations and whitelist entries
+    // of other organizations get the same generic reply so their emails don't leak
+    if (await User.exists({ email, ...orgScope(req) })) {
+      return res.status(400).json({ message: 'Email is already registered as a user' });
+    }
+    if (await Invitation.exists({ email, ...orgScope(req), ...statusFilter('pending') })) {
+      return res.status(400).json({ message: 'This email already has a pending invitation; resend or revoke it' });
+    }
+    const takenElsewhere = await User.exists({ email }) ||
+      await Invitation.exists({ email, ...statusFilter('pending') }) ||
+      await Whitelist.exists({ email, organization: { $ne: organization } });
+    if (takenElsewhere) {
+      return res.status(400).json({ message: 'This email cannot be invited' });
+    }
+
+    // Pre-assigned tasks must come from live assignments of the same organization
+    const assignments = await Assignment.find({ _id: { $in: assignmentIds }, organization, withdrawnAt: null }).select('_id');
+    if (assignments.length !== assignmentIds.length) {
+      const found = new Set(assignments.map(a => a._id.toString()));
+      return res.status(400).json({
+        message: 'Some assignments were not found or have been withdrawn',
+        invalidAssignments: assignmentIds.filter(id => !found.has(id))
+      });
+    }
+
+    const invitation = await Invitation.create({
+      email,
+      organization,
+      role,
+      assignments: assignmentIds,
+      expiresAt: expiryDate(expiresInDays),
+      invitedBy: req.user._id
+    });
+    const token = signInvitationToken(invitation);
+    const emailSent = sendEmail ? await deliverInvitation(req, invitation, token) : false;
+
+    await recordAudit(req, {
+      action: 'invitation.create',
+      target: { type: 'invitation', id: invitation._id, label: email },
+      organization,
+      after: invitation
+    });
+
+    res.status(201).json({
+      message: emailSent ? `Invitation sent to ${email}` : 'Invitation created',
+      invitation,
+      token,
+      link: invitationLink(token),
+      emailSent
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ message: 'Server error while creating invitation' });
+  }
+});
+
+// @route   POST /api/admin/invitations/:id/resend
+// @desc    Issue a fresh link for a pending or expired invitation (the old link stops working)
+//          and email it again, e.g. { expiresInDays: 14, sendEmail: true }
+// @access  Private (whitelist.manage)
+router.post('/:id/resend', [
+  auth,
+  requirePermission('whitelist.manage'),
+  body('expiresInDays').optional().isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+    .withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`).toInt(),
+  body('sendEmail').optional().isBoolean().withMessage('sendEmail must be a boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const invitation = await Invitation.findOne({ _id: req.params.id, ...orgScope(req) });
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(400).json({ message: `Cannot resend an invitation that has been ${invitation.status}` });
+    }
+
+    const before = snapshot(invitation);
+    invitation.expiresAt = expiryDate(req.body.expiresInDays);
+    invitation.rotateNonce();
+    await invitation.save();
+
+    const token = signInvitationToken(invitation);
+    const emailSent = req.body.sendEmail !== false ? await deliverInvitation(req, invitation, token) : false;
+
+    await recordAudit(req, {
+      action: 'invitation.resend',
+      target: { type: 'invitation', id: invitation._id, label: invitation.email },
+      organization: invitation.organization,
+      before,
+      after: invitation
+    });
+
+    res.json({
+      message: emailSent ? `Invitation sent to ${invitation.email} again` : 'Invitation renewed',
+      invitation,
+      token,
+      link: invitationLink(token),
+      emailSent
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({ message: 'Server error while resending invitation' });
+  }
+});
+
+// @route   DELETE /api/admin/invitations/:id
+// @desc    Revoke an invitation so its link can no longer be used
+// @access  Private (whitelist.manage)
+router.delete('/:id', auth, requirePermission('whitelist.manage'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({ _id: req.params.id, ...orgScope(req) });
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(400).json({ message: `Cannot revoke an invitation that has been ${invitation.status}` });
+    }
+
+    const before = { status: invitation.status };
+    invitation.revokedAt = new Date();
+    await invitation.save();
+    await recordAudit(req, {
+      action: 'invitation.revoke',
+      target: { type: 'invitation', id: invitation._id, label: invitation.email },
+      organization: invitation.organization,
+      before,
+      after: { status: 'revoked' }
+    });
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: 'Server error while revoking invitation' });
+  }
+});
+
+module.exports = router;
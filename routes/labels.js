@@ -0,0 +1,134 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Label = require('../models/Label');
+const Task = require('../models/Task');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+const labelValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 50 }).withMessage('Name must be 1-50 characters')
+      .not().contains(',').withMessage('Name cannot contain commas'),
+    body('color').optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex color like #4caf50')
+  ];
+};
+
+// @route   GET /api/labels
+// @desc    Get the current user's labels with the number of tasks using each
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const labels = await Label.find({ userId: req.user._id }).sort({ name: 1 });
+
+    const counts = await Task.aggregate([
+      { $match: { userId: req.user._id, labels: { $in: labels.map(l => l._id) } } },
+      { $unwind: '$labels' },
+      { $group: { _id: '$labels', taskCount: { $sum: 1 } } }
+    ]);
+    const countsById = new Map(counts.map(c => [c._id.toString(), c.taskCount]));
+
+    res.json({
+      labels: labels.map(label => ({ ...label.toObject(), taskCount: countsById.get(label._id.toString()) || 0 })),
+      total: labels.length
+    });
+  } catch (error) {
+    console.error('Get labels error:', error);
+    res.status(500).json({ message: 'Server error while fetching labels' });
+  }
+});
+
+// @route   POST /api/labels
+// @desc    Create a label
+// @access  Private
+router.post('/', [auth, ...labelValidators(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { name, color } = req.body;
+
+    if (await Label.exists({ userId: req.user._id, name })) {
+      return res.status(400).json({ message: 'A label with this name already exists' });
+    }
+
+    const label = new Label({ name, color, userId: req.user._id });
+    await label.save();
+
+    res.status(201).json({ message: 'Label created successfully', label });
+  } catch (error) {
+    console.error('Create label error:', error);
+    res.status(500).json({ message: 'Server error while creating label' });
+  }
+});
+
+// @route   PUT /api/labels/:id
+// @desc    Rename or recolor a label
+// @access  Private
+router.put('/:id', [auth, ...labelValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const label = await Label.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!label) {
+      return res.status(404).json({ message: 'Label not found' });
+    }
+
+    const { name, color } = req.body;
+    if (name !== undefined && name !== label.name) {
+      if (await Label.exists({ userId: req.user._id, name })) {
+        return res.status(400).json({ message: 'A label with this name already exists' });
+      }
+      label.name = name;
+    }
+    if (color !== undefined) label.color = color;
+    await label.save();
+
+    res.json({ message: 'Label updated successfully', label });
+  } catch (error) {
+    console.error('Update label error:', error);
+    res.status(500).json({ message: 'Server error while updating label' });
+  }
+});
+
+// @route   DELETE /api/labels/:id
+// @desc    Delete a label and detach it from every task
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const label = await Label.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!label) {
+      return res.status(404).json({ message: 'Label not found' });
+    }
+
+    let detachedFrom = 0;
+    const dbSession = await mongoose.startSession();
+    try {
+      await dbSession.withTransaction(async () => {
+        const result = await Task.updateMany(
+          { userId: req.user._id, labels: label._id },
+          { $pull: { labels: label._id } },
+          { session: dbSession }
+        );
+        detachedFrom = result.modifiedCount;
+        await label.deleteOne({ session: dbSession });
+      });
+    } finally {
+      await dbSession.endSession();
+    }
+
+    res.json({ message: 'Label deleted successfully', detachedFrom });
+  } catch (error) {
+    console.error('Delete label error:', error);
+    res.status(500).json({ message: 'Server error while deleting label' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Whitelist = require('../models/Whitelist');
+const Invitation = require('../models/Invitation');
+const DomainRule = require('../models/DomainRule');
+const auth = require('../middleware/auth');
+const { superAdminAuth } = require('../middleware/admin');
+const { snapshot, recordAudit } = require('../services/audit');
+const { ROLES } = require('../utils/roles');
+
+const router = express.Router();
+
+// @route   GET /api/admin/organizations
+// @desc    Get all organizations with member counts
+// @access  Private (Super-admin)
+router.get('/', auth, superAdminAuth, async (req, res) => {
+  try {
+    const organizations = await Organization.find({})
+      .populate('createdBy', 'name email')
+      .sort({ name: 1 });
+
+    const organizationsWithStats = await Promise.all(
+      organizations.map(async (organization) => {
+        const [userCount, adminCount] = await Promise.all([
+          User.countDocuments({ organization: organization._id }),
+          User.countDocuments({ organization: organization._id, ...User.adminFilter() })
+        ]);
+        return {
+          ...organization.toObject(),
+          userCount,
+          adminCount
+        };
+      })
+    );
+
+    res.json({
+      organizations: organizationsWithStats,
+      total: organizations.length
+    });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({ message: 'Server error while fetching organizations' });
+  }
+});
+
+// @route   POST /api/admin/organizations
+// @desc    Create an organization
+// @access  Private (Super-admin)
+router.post('/', [
+  auth,
+  superAdminAuth,
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('slug').optional().trim().matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage('Slug may only contain lowercase letters, numbers and dashes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { name } = req.body;
+    const slug = req.body.slug || Organization.slugify(name);
+    if (!slug) {
+      return res.status(400).json({ message: 'Could not derive a slug from the name, please provide one' });
+    }
+
+    if (await Organization.exists({ slug })) {
+      return res.status(400).json({ message: 'An organization with this slug already exists' });
+    }
+
+    const organization = new Organization({
+      name,
+      slug,
+      createdBy: req.user._id
+    });
+    await organization.save();
+    await recordAudit(req, {
+      action: 'organization.create',
+      target: { type: 'organization', id: organization._id, label: organization.name },
+      organization: organization._id,
+      after: organization
+    });
+
+    res.status(201).json({ message: 'Organization created successfully', organization });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ message: 'Server error while creating organization' });
+  }
+});
+
+// @route   PUT /api/admin/organizations/:id
+// @desc    Rename an organization
+// @access  Private (Super-admin)
+router.put('/:id', [
+  auth,
+  superAdminAuth,
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('slug').optional().trim().matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage('Slug may only contain lowercase letters, numbers and dashes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const before = snapshot(organization);
+    const { name, slug } = req.body;
+    if (slug && slug !== organization.slug && await Organization.exists({ slug })) {
+      return res.status(400).json({ message: 'An organization with this slug already exists' });
+    }
+
+    if (name !== undefined) organization.name = name;
+    if (slug !== undefined) organization.slug = slug;
+    await organization.save();
+    await recordAudit(req, {
+      action: 'organization.update',
+      target: { type: 'organization', id: organization._id, label: organization.name },
+      organization: organization._id,
+      before,
+      after: organization
+    });
+
+    res.json({ message: 'Organization updated successfully', organization });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ message: 'Server error while updating organization' });
+  }
+});
+
+// @route   DELETE /api/admin/organizations/:id
+// @desc    Delete an empty organization
+// @access  Private (Super-admin)
+router.delete('/:id', auth, superAdminAuth, async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    // Refuse to orphan members; they must be moved first
+    const userCount = await User.countDocuments({ organization: organization._id });
+    if (userCount > 0) {
+      return res.status(400).json({ message: `Cannot delete an organization that still has ${userCount} user(s)` });
+    }
+
+    // Nobody can join it any more: unused whitelist entries, invitations and domain rules go too
+    await Whitelist.deleteMany({ organization: organization._id, isUsed: false });
+    await Invitation.deleteMany({ organization: organization._id });
+    await DomainRule.deleteMany({ organization: organization._id });
+    await Organization.findByIdAndDelete(organization._id);
+    await recordAudit(req, {
+      action: 'organization.delete',
+      target: { type: 'organization', id: organization._id, label: organization.name },
+      organization: organization._id,
+      before: organization
+    });
+
+    res.json({ message: `Organization ${organization.name} deleted successfully` });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({ message: 'Server error while deleting organization' });
+  }
+});
+
+// @route   PUT /api/admin/organizations/:id/users/:userId
+// @desc    Move a user (and their tasks) into an organization, optionally with a role,
+//          e.g. { role: "owner" }. The older { isAdmin: true } still means the admin role.
+// @access  Private (Super-admin)
+router.put('/:id/users/:userId', [
+  auth,
+  superAdminAuth,
+  body('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  body('isAdmin').optional().isBoolean().withMessage('isAdmin must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const before = snapshot(user);
+    user.organization = organization._id;
+    if (req.body.role !== undefined) {
+      user.role = req.body.role;
+    } else if (req.body.isAdmin !== undefined) {
+      user.role = req.body.isAdmin ? 'admin' : 'member';
+    }
+    await user.save();
+
+    // Keep the user's data in the same organization as the user
+    await Task.updateMany({ userId: user._id }, { organization: organization._id });
+    await Whitelist.updateMany({ usedBy: user._id }, { organization: organization._id });
+    await recordAudit(req, {
+      action: 'organization.move_user',
+      target: { type: 'user', id: user._id, label: user.email },
+      organization: organization._id,
+      before,
+      after: user
+    });
+
+    res.json({
+      message: `${user.name} moved to ${organization.name}`,
+      user
+    });
+  } catch (error) {
+    console.error('Assign organization error:', error);
+    res.status(500).json({ message: 'Server error while assigning organization' });
+  }
+});
+
+module.exports = router;
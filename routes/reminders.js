@@ -0,0 +1,197 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Reminder = require('../models/Reminder');
+const ReminderDelivery = require('../models/ReminderDelivery');
+const Task = require('../models/Task');
+const auth = require('../middleware/auth');
+const { DUE_TIME_PATTERN } = require('../utils/taskSort');
+const { isPublicHostname } = require('../utils/network');
+const { scheduleReminder } = require('../services/reminders');
+
+const router = express.Router();
+
+// Reminder fields shared by create and update; `optional` for partial updates
+const reminderValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('kind').isIn(['before_due', 'daily']).withMessage('Kind must be before_due or daily'),
+    body('offsetMinutes').optional().isInt({ min: 0, max: 7 * 24 * 60 }).withMessage('Offset must be between 0 and 10080 minutes (one week)'),
+    body('time').optional({ values: 'null' }).matches(DUE_TIME_PATTERN).withMessage('Time must be in HH:mm format'),
+    body('onlyIfIncomplete').optional().isBoolean().withMessage('onlyIfIncomplete must be a boolean'),
+    body('channel').optional().isIn(['email', 'webhook']).withMessage('Channel must be email or webhook'),
+    body('webhookUrl').optional({ values: 'null' })
+      .isURL({ protocols: ['https'], require_protocol: true }).withMessage('Webhook URL must be an https URL')
+      .bail()
+      .custom(isPublicHostname).withMessage('Webhook URL must point to a public host'),
+    body('enabled').optional().isBoolean().withMessage('Enabled must be a boolean')
+  ];
+};
+
+const REMINDER_FIELDS = ['kind', 'offsetMinutes', 'time', 'onlyIfIncomplete', 'channel', 'webhookUrl', 'enabled'];
+
+// Cross-field rules the validators cannot express alone
+const reminderError = (reminder) => {
+  if (reminder.kind === 'daily' && !reminder.time) {
+    return 'Daily reminders require a time';
+  }
+  if (reminder.channel === 'webhook' && !reminder.webhookUrl) {
+    return 'Webhook reminders require a webhook URL';
+  }
+  return null;
+};
+
+// @route   GET /api/reminders
+// @desc    Get the current user's reminders (?taskId= for one task)
+// @access  Private
+router.get('/', [
+  auth,
+  query('taskId').optional().isMongoId().withMessage('Valid task ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const filter = { userId: req.user._id };
+    if (req.query.taskId) filter.taskId = req.query.taskId;
+
+    const reminders = await Reminder.find(filter)
+      .populate('taskId', 'title dueTime')
+      .sort({ nextRunAt: 1, createdAt: -1 });
+
+    res.json({ reminders, total: reminders.length });
+  } catch (error) {
+    console.error('Get reminders error:', error);
+    res.status(500).json({ message: 'Server error while fetching reminders' });
+  }
+});
+
+// @route   GET /api/reminders/deliveries
+// @desc    Delivery log of the current user's reminders (?reminderId=&status=&limit=)
+// @access  Private
+router.get('/deliveries', [
+  auth,
+  query('reminderId').optional().isMongoId().withMessage('Valid reminder ID is required'),
+  query('status').optional().isIn(['sent', 'failed', 'skipped']).withMessage('Status must be sent, failed or skipped'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const filter = { userId: req.user._id };
+    if (req.query.reminderId) filter.reminderId = req.query.reminderId;
+    if (req.query.status) filter.status = req.query.status;
+
+    const deliveries = await ReminderDelivery.find(filter)
+      .populate('taskId', 'title')
+      .sort({ createdAt: -1 })
+      .limit(req.query.limit ? Number(req.query.limit) : 50);
+
+    res.json({ deliveries });
+  } catch (error) {
+    console.error('Get reminder deliveries error:', error);
+    res.status(500).json({ message: 'Server error while fetching reminder deliveries' });
+  }
+});
+
+// @route   POST /api/reminders
+// @desc    Create a reminder for a task, e.g. { kind: "before_due", offsetMinutes: 15 }
+//          or { kind: "daily", time: "08:00", onlyIfIncomplete: true }
+// @access  Private
+router.post('/', [
+  auth,
+  body('taskId').isMongoId().withMessage('Valid task ID is required'),
+  ...reminderValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const task = await Task.findOne({ _id: req.body.taskId, userId: req.user._id });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const reminder = new Reminder({ userId: req.user._id, taskId: task._id });
+    for (const field of REMINDER_FIELDS) {
+      if (req.body[field] !== undefined) reminder[field] = req.body[field];
+    }
+
+    const error = reminderError(reminder);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    scheduleReminder(reminder, task, req.user.timezone);
+    await reminder.save();
+
+    res.status(201).json({ message: 'Reminder created successfully', reminder });
+  } catch (error) {
+    console.error('Create reminder error:', error);
+    res.status(500).json({ message: 'Server error while creating reminder' });
+  }
+});
+
+// @route   PUT /api/reminders/:id
+// @desc    Update a reminder (timing, channel, enabled)
+// @access  Private
+router.put('/:id', [auth, ...reminderValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const reminder = await Reminder.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!reminder) {
+      return res.status(404).json({ message: 'Reminder not found' });
+    }
+
+    const task = await Task.findById(reminder.taskId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    for (const field of REMINDER_FIELDS) {
+      if (req.body[field] !== undefined) reminder[field] = req.body[field];
+    }
+
+    const error = reminderError(reminder);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    scheduleReminder(reminder, task, req.user.timezone);
+    await reminder.save();
+
+    res.json({ message: 'Reminder updated successfully', reminder });
+  } catch (error) {
+    console.error('Update reminder error:', error);
+    res.status(500).json({ message: 'Server error while updating reminder' });
+  }
+});
+
+// @route   DELETE /api/reminders/:id
+// @desc    Delete a reminder (its delivery log expires on its own)
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const reminder = await Reminder.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+    if (!reminder) {
+      return res.status(404).json({ message: 'Reminder not found' });
+    }
+
+    res.json({ message: 'Reminder deleted successfully' });
+  } catch (error) {
+    console.error('Delete reminder error:', error);
+    res.status(500).json({ message: 'Server error while deleting reminder' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Subtask = require('../models/Subtask');
+const auth = require('../middleware/auth');
+const { orgScope } = require('../middleware/admin');
+const { dateFromKey, isValidDateKey, keyFromDate } = require('../utils/timezone');
+const { searchTerms, buildSnippet } = require('../utils/search');
+const { hasPermission } = require('../utils/roles');
+
+const router = express.Router();
+
+// Task title matches count for more than subtask matches when ranking
+const TASK_TITLE_WEIGHT = 3;
+
+// Owners whose tasks the search covers: yourself, or with users.view one user (?userId=)
+// or everyone in their organization (?scope=all). Returns { error, status } or { userFilter }.
+const resolveSearchOwners = async (req) => {
+  const { userId, scope } = req.query;
+  if (!userId && scope !== 'all') {
+    return { userFilter: req.user._id };
+  }
+  if (!hasPermission(req.user, 'users.view')) {
+    return { status: 403, error: 'Access denied. Missing permission.' };
+  }
+
+  if (userId) {
+    const user = await User.findOne({ _id: userId, ...orgScope(req) }).select('_id');
+    if (!user) {
+      return { status: 404, error: 'User not found' };
+    }
+    return { userFilter: user._id };
+  }
+
+  const userIds = await User.find(orgScope(req)).distinct('_id');
+  return { userFilter: { $in: userIds } };
+};
+
+// Task conditions for the type, date range and completion filters
+const taskFilters = ({ type, from, to, completed }) => {
+  const conditions = [];
+
+  // Only static tasks have a completion state of their own; dated tasks are completed per day
+  if (type === 'static' || completed !== undefined) {
+    conditions.push({ recurrence: null }, { $or: [{ startDate: null }, { endDate: null }] });
+  } else if (type === 'dated' || from || to) {
+    conditions.push({ startDate: { $ne: null } }, { $or: [{ endDate: { $ne: null } }, { recurrence: { $ne: null } }] });
+  }
+
+  // Dated tasks whose range overlaps [from, to]; open-ended recurring tasks never end
+  if (to) {
+    conditions.push({ startDate: { $lte: dateFromKey(to) } });
+  }
+  if (from) {
+    conditions.push({ $or: [{ endDate: { $gte: dateFromKey(from) } }, { endDate: null, recurrence: { $ne: null } }] });
+  }
+
+  if (completed !== undefined) {
+    conditions.push({ completed: completed === 'true' });
+  }
+
+  return conditions;
+};
+
+const taskType = (task) => {
+  if (task.recurrence) return 'recurring';
+  return task.startDate && task.endDate ? 'dated' : 'static';
+};
+
+// @route   GET /api/search
+// @desc    Full-text search over task titles, subtask titles and subtask notes, ranked by relevance.
+//          Filters: ?type=static|dated, ?from=&to= (YYYY-MM-DD), ?completed=true|false (static tasks
+//          only, so it cannot be combined with type=dated or a date range), ?limit=
+//          Admins: ?userId= for one user, ?scope=all for everyone in their organization
+// @access  Private
+router.get('/', [
+  auth,
+  query('q').trim().isLength({ min: 1, max: 200 }).withMessage('Search query must be 1-200 characters'),
+  query('type').optional().isIn(['static', 'dated']).withMessage('Type must be static or dated'),
+  query('from').optional().custom(isValidDateKey).withMessage('From must be a YYYY-MM-DD date'),
+  query('to').optional().custom(isValidDateKey).withMessage('To must be a YYYY-MM-DD date'),
+  query('completed').optional().isIn(['true', 'false']).withMessage('Completed must be true or false'),
+  query('scope').optional().isIn(['self', 'all']).withMessage('Scope must be self or all'),
+  query('userId').optional().isMongoId().withMessage('Valid user ID is required'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { q, type, from, to, completed } = req.query;
+    if (type === 'static' && (from || to)) {
+      return res.status(400).json({ message: 'A date range cannot be combined with type=static' });
+    }
+    if (completed !== undefined && (type === 'dated' || from || to)) {
+      return res.status(400).json({ message: 'The completed filter only applies to static tasks; it cannot be combined with type=dated or a date range' });
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({ message: 'The from date must be on or before the to date' });
+    }
+
+    const owners = await resolveSearchOwners(req);
+    if (owners.error) {
+      return res.status(owners.status).json({ message: owners.error });
+    }
+
+    const limit = req.query.limit ? Number(req.query.limit) : 20;
+    const terms = searchTerms(q);
+    const taskFilter = { userId: owners.userFilter };
+    const conditions = taskFilters(req.query);
+    if (conditions.length > 0) {
+      taskFilter.$and = conditions;
+    }
+
+    // Subtasks have no owner of their own, so restrict them to the tasks in scope
+    const scopedTaskIds = await Task.find(taskFilter).distinct('_id');
+
+    const [taskHits, subtaskHits] = await Promise.all([
+      Task.find({ _id: { $in: scopedTaskIds }, $text: { $search: q } }, { score: { $meta: 'textScore' } })
+        .select('_id'),
+      Subtask.find({ taskId: { $in: scopedTaskIds }, $text: { $search: q } }, { score: { $meta: 'textScore' } })
+        .select('taskId title notes')
+    ]);
+
+    // Rank tasks by their own title match plus every matching subtask
+    const ranked = new Map();
+    const entryFor = (taskId) => {
+      const key = taskId.toString();
+      if (!ranked.has(key)) {
+        ranked.set(key, { taskId, score: 0, titleMatched: false, subtasks: [] });
+      }
+      return ranked.get(key);
+    };
+
+    for (const hit of taskHits) {
+      const entry = entryFor(hit._id);
+      entry.score += hit.get('score') * TASK_TITLE_WEIGHT;
+      entry.titleMatched = true;
+    }
+    for (const hit of subtaskHits) {
+      const entry = entryFor(hit.taskId);
+      entry.score += hit.get('score');
+      entry.subtasks.push(hit);
+    }
+
+    const top = [...ranked.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+    const tasks = await Task.find({ _id: { $in: top.map(e => e.taskId) } })
+      .populate('userId', 'name email');
+    const tasksById = new Map(tasks.map(t => [t._id.toString(), t]));
+
+    const results = top
+      .filter(entry => tasksById.has(entry.taskId.toString()))
+      .map(entry => {
+        const task = tasksById.get(entry.taskId.toString());
+        const matches = [];
+
+        if (entry.titleMatched) {
+          matches.push({ field: 'title', snippet: buildSnippet(task.title, terms) || { text: task.title, highlights: [] } });
+        }
+        for (const subtask of entry.subtasks) {
+          const titleSnippet = buildSnippet(subtask.title, terms);
+          const notesSnippet = buildSnippet(subtask.notes, terms);
+          if (titleSnippet || !notesSnippet) {
+            matches.push({ field: 'subtask.title', subtaskId: subtask._id, snippet: titleSnippet || { text: subtask.title, highlights: [] } });
+          }
+          if (notesSnippet) {
+            matches.push({ field: 'subtask.notes', subtaskId: subtask._id, snippet: notesSnippet });
+          }
+        }
+
+        return {
+          score: Math.round(entry.score * 1000) / 1000,
+          task: {
+            _id: task._id,
+            title: task.title,
+            type: taskType(task),
+            completed: task.completed,
+            startDate: task.startDate ? keyFromDate(task.startDate) : null,
+            endDate: task.endDate ? keyFromDate(task.endDate) : null,
+            recurrence: task.recurrence
+          },
+          user: task.userId && task.userId._id.toString() !== req.user._id.toString()
+            ? { _id: task.userId._id, name: task.userId.name, email: task.userId.email }
+            : undefined,
+          matches
+        };
+      });
+
+    res.json({ query: q, total: ranked.size, results });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ message: 'Server error while searching' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const Task = require('../models/Task');
+const TaskInstance = require('../models/TaskInstance');
+const auth = require('../middleware/auth');
+const { dateFromKey, keyFromDate, todayInZone, resolveDateRange } = require('../utils/timezone');
+
+const router = express.Router();
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const rate = (completed, total) => (total > 0 ? Math.round((completed / total) * 100) : 0);
+
+const withRate = ({ _id, total, completed }) => ({ period: _id, total, completed, completionRate: rate(completed, total) });
+
+// Current and longest run of consecutive completed occurrences.
+// An incomplete occurrence today does not break the current streak yet.
+const computeStreaks = (occurrences, completedKeys, today) => {
+  let longest = 0;
+  let run = 0;
+  for (const key of occurrences) {
+    run = completedKeys.has(key) ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  }
+
+  let current = 0;
+  for (let i = occurrences.length - 1; i >= 0; i--) {
+    const key = occurrences[i];
+    if (completedKeys.has(key)) {
+      current++;
+    } else if (key === today && current === 0) {
+      continue;
+    } else {
+      break;
+    }
+  }
+
+  return { current, longest };
+};
+
+// @route   GET /api/stats/me
+// @desc    Get personal completion analytics and streaks (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+// @access  Private
+router.get('/me', auth, async (req, res) => {
+  try {
+    const { error, from, to } = resolveDateRange(req.query, req.user.timezone, { defaultDays: 90 });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Instances are keyed by UTC-midnight calendar days, so all grouping happens in UTC
+    const tasks = await Task.find({ userId: req.user._id });
+    const match = {
+      userId: req.user._id,
+      taskId: { $in: tasks.map(t => t._id) },
+      date: { $gte: dateFromKey(from), $lte: dateFromKey(to) }
+    };
+
+    const completedAsNumber = { $cond: ['$completed', 1, 0] };
+    const byPeriod = (format) => [
+      { $group: {
+        _id: { $dateToString: { format, date: '$date', timezone: 'UTC' } },
+        total: { $sum: 1 },
+        completed: { $sum: completedAsNumber }
+      } },
+      { $sort: { _id: 1 } }
+    ];
+
+    const [result] = await TaskInstance.aggregate([
+      { $match: match },
+      { $facet: {
+        overall: [
+          { $group: { _id: null, total: { $sum: 1 }, completed: { $sum: completedAsNumber } } }
+        ],
+        daily: byPeriod('%Y-%m-%d'),
+        weekly: byPeriod('%G-W%V'),
+        monthly: byPeriod('%Y-%m'),
+        weekdays: [
+          { $group: {
+            _id: { $dayOfWeek: { date: '$date', timezone: 'UTC' } },
+            total: { $sum: 1 },
+            completed: { $sum: completedAsNumber }
+          } }
+        ],
+        subtasks: [
+          { $unwind: '$subtaskInstances' },
+          { $group: {
+            _id: '$subtaskInstances.subtaskId',
+            total: { $sum: 1 },
+            completed: { $sum: { $cond: ['$subtaskInstances.completed', 1, 0] } }
+          } },
+          { $lookup: { from: 'subtasks', localField: '_id', foreignField: '_id', as: 'subtask' } },
+          { $unwind: '$subtask' },
+          { $project: { total: 1, completed: 1, title: '$subtask.title', taskId: '$subtask.taskId' } }
+        ],
+        completedDays: [
+          { $match: { completed: true } },
+          { $group: { _id: '$taskId', dates: { $push: '$date' } } }
+        ]
+      } }
+    ]);
+
+    const overall = result.overall[0] || { total: 0, completed: 0 };
+
+    const weekdays = result.weekdays
+      .map(({ _id, total, completed }) => ({
+        weekday: WEEKDAY_NAMES[_id - 1],
+        total,
+        completed,
+        completionRate: rate(completed, total)
+      }))
+      .sort((a, b) => b.completionRate - a.completionRate || b.total - a.total);
+
+    // Streaks for every date-based task, over its occurrences up to today
+    const today = todayInZone(req.user.timezone);
+    const lastDay = to < today ? to : today;
+    const completedByTask = new Map(
+      result.completedDays.map(d => [d._id.toString(), new Set(d.dates.map(keyFromDate))])
+    );
+
+    const streaks = tasks
+      .filter(task => task.startDate)
+      .map(task => {
+        const occurrences = task.occurrencesBetween(from, lastDay);
+        const completedKeys = completedByTask.get(task._id.toString()) || new Set();
+        return {
+          taskId: task._id,
+          title: task.title,
+          recurrence: task.recurrence,
+          occurrences: occurrences.length,
+          completed: occurrences.filter(key => completedKeys.has(key)).length,
+          ...computeStreaks(occurrences, completedKeys, today)
+        };
+      })
+      .filter(streak => streak.occurrences > 0)
+      .sort((a, b) => b.current - a.current || b.longest - a.longest);
+
+    res.json({
+      from,
+      to,
+      total: overall.total,
+      completed: overall.completed,
+      completionRate: rate(overall.completed, overall.total),
+      streaks,
+      daily: result.daily.map(withRate),
+      weekly: result.weekly.map(withRate),
+      monthly: result.monthly.map(withRate),
+      weekdays,
+      bestWeekday: weekdays[0] || null,
+      worstWeekday: weekdays[weekdays.length - 1] || null,
+      subtasks: result.subtasks.map(st => ({
+        subtaskId: st._id,
+        taskId: st.taskId,
+        title: st.title,
+        total: st.total,
+        completed: st.completed,
+        completionRatio: st.total > 0 ? Number((st.completed / st.total).toFixed(2)) : 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get personal stats error:', error);
+    res.status(500).json({ message: 'Server error while fetching stats' });
+  }
+});
+
+module.exports = router;
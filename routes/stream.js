@@ -0,0 +1,104 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Session = require('../models/Session');
+const auth = require('../middleware/auth');
+const { hasPermission } = require('../utils/roles');
+const { getBroker, userChannel, orgChannel, ALL_ORGANIZATIONS_CHANNEL } = require('../services/live');
+
+const router = express.Router();
+
+const HEARTBEAT_MS = Number(process.env.LIVE_HEARTBEAT_MS) || 25000;
+// Browsers reconnect after this long when the stream drops
+const RECONNECT_MS = 3000;
+
+// EventSource cannot send headers, so the access token may also come as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Channel a stream listens on, or an error message
+const resolveChannel = (req) => {
+  if (req.query.scope !== 'organization') {
+    return { channel: userChannel(req.user._id) };
+  }
+  if (!hasPermission(req.user, 'users.view')) {
+    return { error: 'Access denied. Missing permission.' };
+  }
+  if (!req.user.isSuperAdmin) {
+    return { channel: orgChannel(req.user.organization) };
+  }
+  return { channel: req.query.organizationId ? orgChannel(req.query.organizationId) : ALL_ORGANIZATIONS_CHANNEL };
+};
+
+// @route   GET /api/stream
+// @desc    Server-Sent Events stream of task, subtask and task instance changes.
+//          Default: the current user's own changes. ?scope=organization (users.view): every change
+//          in the admin's organization; super admins may add ?organizationId= or get all of them.
+//          Needs a long-running server (npm start); API Gateway buffers Lambda responses.
+// @access  Private (token in the Authorization header or ?token=)
+router.get('/', [
+  tokenFromQuery,
+  auth,
+  query('scope').optional().isIn(['user', 'organization']).withMessage('Scope must be user or organization'),
+  query('organizationId').optional().isMongoId().withMessage('Valid organization ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { channel, error } = resolveChannel(req);
+    if (error) {
+      return res.status(403).json({ message: error });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (message) => {
+      res.write(`id: ${message.id}\nevent: ${message.type}\ndata: ${JSON.stringify(message.data)}\n\n`);
+    };
+
+    res.write(`retry: ${RECONNECT_MS}\n`);
+    res.write(`event: ready\ndata: ${JSON.stringify({ channel })}\n\n`);
+
+    const unsubscribe = getBroker().subscribe(channel, send);
+
+    // Comments keep proxies from closing an idle stream; a revoked session ends it
+    const heartbeat = setInterval(async () => {
+      try {
+        const session = await Session.findById(req.session._id);
+        if (!session || !session.isActive()) {
+          res.write('event: session-ended\ndata: {}\n\n');
+          return res.end();
+        }
+        res.write(': keep-alive\n\n');
+      } catch (heartbeatError) {
+        console.error('Stream heartbeat error:', heartbeatError.message);
+      }
+    }, HEARTBEAT_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    console.error('Stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error while opening stream' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+module.exports = router;
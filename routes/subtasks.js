@@ -3,9 +3,15 @@ const { body, validationResult } = require('express-validator');
 const Subtask = require('../models/Subtask');
 const Task = require('../models/Task');
 const auth = require('../middleware/auth');
+const { publish, taskSummary } = require('../services/events');
+const { notify, subtaskSummary } = require('../services/live');
+const { trashSubtask, purgeDate } = require('../services/trash');
 
 const router = express.Router();
 
+// Fields a user may change with PUT /api/subtasks/:id
+const SUBTASK_FIELDS = ['title', 'completed', 'notes'];
+
 // @route   PUT /api/subtasks/:id
 // @desc    Update a subtask
 // @access  Private
@@ -22,7 +28,10 @@ router.put('/:id', [
     }
 
     const { id } = req.params;
-    const updates = req.body;
+    const updates = {};
+    for (const field of SUBTASK_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
 
     // Find subtask and verify it belongs to user's task
     const subtask = await Subtask.findById(id).populate('taskId');
@@ -35,6 +44,7 @@ router.put('/:id', [
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    const wasCompleted = subtask.completed;
     Object.assign(subtask, updates);
     await subtask.save();
 
@@ -50,15 +60,28 @@ router.put('/:id', [
         if (allSubtasksCompleted) {
           task.completed = true;
           await task.save();
+          await notify(task, 'task.updated', { task: taskSummary(task), changes: ['completed'] });
         }
         // Auto-incomplete task if any subtask is incomplete and task was previously completed
         else if (anySubtaskIncomplete && task.completed) {
           task.completed = false;
           await task.save();
+          await notify(task, 'task.updated', { task: taskSummary(task), changes: ['completed'] });
         }
       }
     }
 
+    await notify(subtask.taskId, 'subtask.updated', { subtask: subtaskSummary(subtask) });
+    if (subtask.completed && !wasCompleted) {
+      await publish('subtask.completed', {
+        user: req.user,
+        data: {
+          subtask: { id: subtask._id, title: subtask.title, notes: subtask.notes },
+          task: taskSummary(subtask.taskId)
+        }
+      });
+    }
+
     res.json({ message: 'Subtask updated successfully', subtask });
   } catch (error) {
     console.error('Update subtask error:', error);
@@ -67,7 +90,7 @@ router.put('/:id', [
 });
 
 // @route   DELETE /api/subtasks/:id
-// @desc    Delete a subtask
+// @desc    Move a subtask to the trash (see /api/trash)
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
@@ -84,35 +107,11 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Remove subtask from task's subtasks array
-    await Task.findByIdAndUpdate(
-      subtask.taskId._id,
-      { $pull: { subtasks: id } }
-    );
-
-    // IMPORTANT: Remove subtask instances from all existing task instances
-    const TaskInstance = require('../models/TaskInstance');
-    const existingInstances = await TaskInstance.find({ 
-      taskId: subtask.taskId._id, 
-      userId: req.user._id 
-    });
-    
-    console.log(`Found ${existingInstances.length} existing task instances to update (remove subtask)`);
-    
-    for (const instance of existingInstances) {
-      // Remove the subtask instance from the task instance
-      instance.subtaskInstances = instance.subtaskInstances.filter(
-        si => si.subtaskId.toString() !== id
-      );
-      await instance.save();
-    }
-
-    console.log(`Removed subtask from ${existingInstances.length} task instances`);
-
-    // Delete the subtask
-    await Subtask.findByIdAndDelete(id);
+    // History stays with the subtask in the trash until it is restored or purged
+    await trashSubtask(subtask);
+    await notify(subtask.taskId, 'subtask.deleted', { subtask: subtaskSummary(subtask) });
 
-    res.json({ message: 'Subtask deleted successfully' });
+    res.json({ message: 'Subtask moved to the trash', purgeAt: purgeDate(subtask.deletedAt) });
   } catch (error) {
     console.error('Delete subtask error:', error);
     res.status(500).json({ message: 'Server error while deleting subtask' });
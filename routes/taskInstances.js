@@ -3,96 +3,39 @@ const { body, validationResult } = require('express-validator');
 const Task = require('../models/Task');
 const TaskInstance = require('../models/TaskInstance');
 const Subtask = require('../models/Subtask');
+const Label = require('../models/Label');
 const auth = require('../middleware/auth');
+const { isValidDateKey, keyFromDate } = require('../utils/timezone');
+const { taskListValidators } = require('../validators/task');
+const { sortTasks } = require('../utils/taskSort');
+const { publish, taskSummary } = require('../services/events');
+const { notify, instanceSummary } = require('../services/live');
 
 const router = express.Router();
 
-// Helper function to get or create task instance for a specific date
-const getOrCreateTaskInstance = async (taskId, userId, date) => {
-  // Handle both string and Date object inputs
-  let targetDate;
-  if (typeof date === 'string') {
-    // Parse the date string and create a proper date object in local timezone
-    const [year, month, day] = date.split('-').map(Number);
-    targetDate = new Date(year, month - 1, day);
-  } else {
-    // If it's already a Date object, use it directly
-    targetDate = new Date(date);
+// Announce that a day of a task was completed (instance must be populated)
+const publishInstanceCompleted = (user, instance) => publish('instance.completed', {
+  user,
+  data: {
+    instance: {
+      id: instance._id,
+      date: keyFromDate(instance.date),
+      subtasks: instance.subtaskInstances.length
+    },
+    task: instance.taskId && { id: instance.taskId._id, title: instance.taskId.title }
   }
-  targetDate.setHours(0, 0, 0, 0);
-
-  let instance = await TaskInstance.findOne({
-    taskId,
-    userId,
-    date: targetDate
-  });
-
-  // Get the task and its current subtasks
-  const task = await Task.findById(taskId).populate('subtasks');
-  if (!task) {
-    throw new Error('Task not found');
-  }
-
-  if (!instance) {
-    // Create new instance with all current subtasks
-    const subtaskInstances = task.subtasks.map(subtask => ({
-      subtaskId: subtask._id,
-      completed: false
-    }));
-
-    instance = new TaskInstance({
-      taskId,
-      userId,
-      date: targetDate,
-      completed: false,
-      subtaskInstances
-    });
-
-    await instance.save();
-  } else {
-    // Sync existing instance with current subtasks
-    const currentSubtaskIds = new Set(task.subtasks.map(st => st._id.toString()));
-    const instanceSubtaskIds = new Set(instance.subtaskInstances.map(si => si.subtaskId.toString()));
-    
-    let needsUpdate = false;
-    
-    // Add missing subtask instances
-    for (const subtask of task.subtasks) {
-      if (!instanceSubtaskIds.has(subtask._id.toString())) {
-        instance.subtaskInstances.push({
-          subtaskId: subtask._id,
-          completed: false
-        });
-        needsUpdate = true;
-        console.log(`Added missing subtask instance: ${subtask.title}`);
-      }
-    }
-    
-    // Remove subtask instances for deleted subtasks
-    const originalLength = instance.subtaskInstances.length;
-    instance.subtaskInstances = instance.subtaskInstances.filter(si => 
-      currentSubtaskIds.has(si.subtaskId.toString())
-    );
-    
-    if (instance.subtaskInstances.length !== originalLength) {
-      needsUpdate = true;
-      console.log(`Removed ${originalLength - instance.subtaskInstances.length} obsolete subtask instances`);
-    }
-    
-    if (needsUpdate) {
-      await instance.save();
-      console.log(`Synced task instance with current subtasks`);
-    }
-  }
-
-  return instance;
-};
+});
 
 // @route   GET /api/task-instances/date/:date
-// @desc    Get task instances for a specific date
+// @desc    Get task instances for a specific date (?tags=&tagMode=&sort=)
 // @access  Private
-router.get('/date/:date', auth, async (req, res) => {
+router.get('/date/:date', [auth, ...taskListValidators], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
     const { date } = req.params;
     console.log('Server: Received request for date:', date);
     console.log('Server: User ID:', req.user._id);
@@ -103,30 +46,26 @@ router.get('/date/:date', auth, async (req, res) => {
       return res.status(400).json({ message: 'Invalid date format. Use YYYY-MM-DD' });
     }
     
-    // Parse date components to avoid timezone issues
-    const [year, month, day] = date.split('-').map(Number);
-    const targetDate = new Date(year, month - 1, day);
-    
-    if (isNaN(targetDate.getTime())) {
+    // The date is a calendar day in the user's time zone, used as-is as the instance key
+    if (!isValidDateKey(date)) {
       console.log('Server: Invalid date:', date);
       return res.status(400).json({ message: 'Invalid date' });
     }
 
-    console.log('Server: Target date:', targetDate);
-
     // Find all tasks that should be active on this date
-    const activeTasks = await Task.findTasksForDate(req.user._id, targetDate);
+    const tagFilter = await Label.tagFilter(req.user._id, req.query);
+    const activeTasks = sortTasks(await Task.findTasksForDate(req.user._id, date, tagFilter || {}), req.query.sort);
     console.log('Server: Found active tasks:', activeTasks.length);
     
     // Get or create instances for each active task
     const taskInstances = [];
     for (const task of activeTasks) {
       try {
-        const instance = await getOrCreateTaskInstance(task._id, req.user._id, targetDate);
+        const instance = await TaskInstance.getOrCreate(task._id, req.user._id, date);
         
         // Populate the task and subtask details
         await instance.populate([
-          { path: 'taskId', select: 'title startDate endDate' },
+          { path: 'taskId', select: 'title startDate endDate recurrence labels', populate: { path: 'labels', select: 'name color' } },
           { path: 'subtaskInstances.subtaskId', select: 'title notes' }
         ]);
         
@@ -156,6 +95,7 @@ router.put('/:id/complete', auth, async (req, res) => {
       return res.status(404).json({ message: 'Task instance not found' });
     }
 
+    const wasCompleted = instance.completed;
     instance.completed = !instance.completed;
     
     // If task is being marked as complete, mark all subtasks as complete
@@ -168,10 +108,17 @@ router.put('/:id/complete', auth, async (req, res) => {
 
     // Populate for response
     await instance.populate([
-      { path: 'taskId', select: 'title startDate endDate' },
+      { path: 'taskId', select: 'title startDate endDate recurrence labels', populate: { path: 'labels', select: 'name color' } },
       { path: 'subtaskInstances.subtaskId', select: 'title notes' }
     ]);
 
+    await notify({ userId: instance.userId, organization: req.user.organization }, 'instance.updated', {
+      instance: instanceSummary(instance)
+    });
+    if (instance.completed && !wasCompleted) {
+      await publishInstanceCompleted(req.user, instance);
+    }
+
     res.json({ message: 'Task instance updated successfully', taskInstance: instance });
   } catch (error) {
     console.error('Update task instance error:', error);
@@ -199,7 +146,9 @@ router.put('/:id/subtask/:subtaskId', auth, async (req, res) => {
       return res.status(404).json({ message: 'Subtask instance not found' });
     }
 
+    const wasCompleted = instance.completed;
     subtaskInstance.completed = !subtaskInstance.completed;
+    const subtaskCompleted = subtaskInstance.completed;
     
     // Check if all subtasks are completed to auto-complete the main task
     const allSubtasksCompleted = instance.subtaskInstances.every(si => si.completed);
@@ -216,12 +165,35 @@ router.put('/:id/subtask/:subtaskId', auth, async (req, res) => {
 
     await instance.save();
 
-    // Populate for response
+    // Populate for response (and the event payloads)
     await instance.populate([
-      { path: 'taskId', select: 'title startDate endDate' },
+      {
+        path: 'taskId',
+        select: 'title completed startDate endDate recurrence priority dueTime userId labels',
+        populate: { path: 'labels', select: 'name color' }
+      },
       { path: 'subtaskInstances.subtaskId', select: 'title notes' }
     ]);
 
+    await notify({ userId: instance.userId, organization: req.user.organization }, 'instance.updated', {
+      instance: instanceSummary(instance)
+    });
+    // Same event as completing a subtask of a static task, for the day it was completed on
+    if (subtaskCompleted && subtaskInstance.subtaskId && instance.taskId) {
+      const subtask = subtaskInstance.subtaskId;
+      await publish('subtask.completed', {
+        user: req.user,
+        data: {
+          subtask: { id: subtask._id, title: subtask.title, notes: subtask.notes },
+          task: taskSummary(instance.taskId),
+          date: keyFromDate(instance.date)
+        }
+      });
+    }
+    if (instance.completed && !wasCompleted) {
+      await publishInstanceCompleted(req.user, instance);
+    }
+
     res.json({ message: 'Subtask instance updated successfully', taskInstance: instance });
   } catch (error) {
     console.error('Update subtask instance error:', error);
@@ -1,19 +1,55 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Task = require('../models/Task');
 const Subtask = require('../models/Subtask');
+const Label = require('../models/Label');
+const TaskInstance = require('../models/TaskInstance');
 const auth = require('../middleware/auth');
+const { todayInZone, toCalendarDate, isValidDateKey, addDays, dateFromKey, keyFromDate } = require('../utils/timezone');
+const { PRIORITY_LEVELS, DUE_TIME_PATTERN, sortTasks } = require('../utils/taskSort');
+const { rescheduleReminders } = require('../services/reminders');
+const { publish, taskSummary } = require('../services/events');
+const { notify, subtaskSummary } = require('../services/live');
+const { trashTask, purgeDate } = require('../services/trash');
+const {
+  isValidRecurrence,
+  taskCreateValidators,
+  taskLabelValidators,
+  taskListValidators,
+  resolveTaskDates
+} = require('../validators/task');
 
 const router = express.Router();
 
+// Fields a user may change on their own task with PUT /api/tasks/:id
+const TASK_FIELDS = [
+  'title', 'completed', 'startDate', 'endDate', 'recurrence', 'recurrenceExceptions', 'priority', 'dueTime', 'labels'
+];
+
+// Default and maximum number of past days GET /overdue looks at
+const OVERDUE_LOOKBACK_DAYS = 7;
+const MAX_OVERDUE_LOOKBACK_DAYS = 90;
+
+const minutesSince = (instant, now) => Math.floor((now - instant) / 60000);
+
 // @route   GET /api/tasks
-// @desc    Get all user tasks
+// @desc    Get all user tasks (?tags=work,health&tagMode=all|any&sort=manual|priority|due)
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', [auth, ...taskListValidators], async (req, res) => {
   try {
-    const tasks = await Task.find({ userId: req.user._id })
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const tagFilter = await Label.tagFilter(req.user._id, req.query);
+    const tasks = await Task.find({ ...tagFilter, userId: req.user._id })
       .populate('subtasks')
+      .populate('labels', 'name color')
       .sort({ createdAt: -1 }); // Sort by newest first
+    if (req.query.sort) {
+      sortTasks(tasks, req.query.sort);
+    }
     
     res.json({ tasks });
   } catch (error) {
@@ -23,20 +59,21 @@ router.get('/', auth, async (req, res) => {
 });
 
 // @route   GET /api/tasks/static
-// @desc    Get static tasks (tasks without dates)
+// @desc    Get static tasks (tasks without dates) (?tags=&tagMode=&sort=)
 // @access  Private
-router.get('/static', auth, async (req, res) => {
+router.get('/static', [auth, ...taskListValidators], async (req, res) => {
   try {
-    const tasks = await Task.find({ 
-      userId: req.user._id,
-      $or: [
-        { startDate: null },
-        { endDate: null },
-        { $and: [{ startDate: { $exists: false } }, { endDate: { $exists: false } }] }
-      ]
-    })
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const tagFilter = await Label.tagFilter(req.user._id, req.query);
+    const tasks = await Task.findStaticTasks(req.user._id, tagFilter || {})
       .populate('subtasks')
+      .populate('labels', 'name color')
       .sort({ order: 1, createdAt: -1 });
+    sortTasks(tasks, req.query.sort);
     
     res.json({ tasks });
   } catch (error) {
@@ -46,14 +83,21 @@ router.get('/static', auth, async (req, res) => {
 });
 
 // @route   GET /api/tasks/today
-// @desc    Get today's tasks
+// @desc    Get today's tasks (?tags=&tagMode=&sort=)
 // @access  Private
-router.get('/today', auth, async (req, res) => {
+router.get('/today', [auth, ...taskListValidators], async (req, res) => {
   try {
-    const today = new Date();
-    const tasks = await Task.findTasksForDate(req.user._id, today);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    // "Today" is resolved in the user's time zone
+    const today = todayInZone(req.user.timezone);
+    const tagFilter = await Label.tagFilter(req.user._id, req.query);
+    const tasks = sortTasks(await Task.findTasksForDate(req.user._id, today, tagFilter || {}), req.query.sort);
     
-    res.json({ tasks, date: today.toISOString().split('T')[0] });
+    res.json({ tasks, date: today });
   } catch (error) {
     console.error('Get today tasks error:', error);
     res.status(500).json({ message: 'Server error while fetching today\'s tasks' });
@@ -61,10 +105,15 @@ router.get('/today', auth, async (req, res) => {
 });
 
 // @route   GET /api/tasks/date/:date
-// @desc    Get tasks for specific date (YYYY-MM-DD)
+// @desc    Get tasks for specific date (YYYY-MM-DD) (?tags=&tagMode=&sort=)
 // @access  Private
-router.get('/date/:date', auth, async (req, res) => {
+router.get('/date/:date', [auth, ...taskListValidators], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
     const { date } = req.params;
     
     // Validate date format
@@ -72,12 +121,12 @@ router.get('/date/:date', auth, async (req, res) => {
       return res.status(400).json({ message: 'Invalid date format. Use YYYY-MM-DD' });
     }
     
-    const targetDate = new Date(date);
-    if (isNaN(targetDate.getTime())) {
+    if (!isValidDateKey(date)) {
       return res.status(400).json({ message: 'Invalid date' });
     }
     
-    const tasks = await Task.findTasksForDate(req.user._id, targetDate);
+    const tagFilter = await Label.tagFilter(req.user._id, req.query);
+    const tasks = sortTasks(await Task.findTasksForDate(req.user._id, date, tagFilter || {}), req.query.sort);
     
     res.json({ tasks, date });
   } catch (error) {
@@ -86,14 +135,104 @@ router.get('/date/:date', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/tasks/overdue
+// @desc    Incomplete work past its due point, in the user's time zone: static tasks whose due
+//          time has passed today, and days of dated tasks within the last ?days= (default 7)
+//          that were not completed (?tags=&tagMode=&sort=priority to rank by priority)
+// @access  Private
+router.get('/overdue', [
+  auth,
+  ...taskListValidators,
+  query('days').optional().isInt({ min: 1, max: MAX_OVERDUE_LOOKBACK_DAYS })
+    .withMessage(`Days must be between 1 and ${MAX_OVERDUE_LOOKBACK_DAYS}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { timezone } = req.user;
+    const now = new Date();
+    const today = todayInZone(timezone);
+    const lookbackDays = req.query.days ? Number(req.query.days) : OVERDUE_LOOKBACK_DAYS;
+    const from = addDays(today, -lookbackDays);
+    const tagFilter = await Label.tagFilter(req.user._id, req.query);
+
+    // Static tasks with a due time are due every day, so only today's due point matters
+    const staticCandidates = await Task.findStaticTasks(req.user._id, { ...tagFilter, completed: false, dueTime: { $ne: null } })
+      .populate('labels', 'name color');
+    const staticTasks = staticCandidates
+      .map(task => ({ task, dueAt: task.dueAt(today, timezone) }))
+      .filter(entry => entry.dueAt < now)
+      .map(entry => ({ ...entry, overdueMinutes: minutesSince(entry.dueAt, now) }));
+
+    // Dated tasks: every day in the window whose due point has passed without a completed instance
+    const datedTasks = await Task.find({
+      ...tagFilter,
+      userId: req.user._id,
+      startDate: { $lte: dateFromKey(today), $ne: null },
+      $or: [
+        { endDate: { $gte: dateFromKey(from), $ne: null } },
+        { endDate: null, recurrence: { $ne: null } }
+      ]
+    }).populate('labels', 'name color');
+
+    const instances = await TaskInstance.find({
+      userId: req.user._id,
+      taskId: { $in: datedTasks.map(t => t._id) },
+      date: { $gte: dateFromKey(from), $lte: dateFromKey(today) }
+    }).select('taskId date completed');
+    const instancesByDay = new Map(instances.map(i => [`${i.taskId}:${keyFromDate(i.date)}`, i]));
+
+    const overdueInstances = [];
+    for (const task of datedTasks) {
+      for (const date of task.occurrencesBetween(from, today)) {
+        const dueAt = task.dueAt(date, timezone);
+        const instance = instancesByDay.get(`${task._id}:${date}`);
+        if (dueAt >= now || (instance && instance.completed)) {
+          continue;
+        }
+        overdueInstances.push({
+          task,
+          date,
+          instanceId: instance ? instance._id : null,
+          dueAt,
+          overdueMinutes: minutesSince(dueAt, now)
+        });
+      }
+    }
+
+    // Longest overdue first, or by priority when asked
+    const byDueAt = (a, b) => a.dueAt - b.dueAt;
+    staticTasks.sort(byDueAt);
+    overdueInstances.sort(byDueAt);
+    if (req.query.sort === 'priority') {
+      sortTasks(staticTasks, 'priority', entry => entry.task);
+      sortTasks(overdueInstances, 'priority', entry => entry.task);
+    }
+
+    res.json({
+      date: today,
+      from,
+      lookbackDays,
+      staticTasks,
+      instances: overdueInstances,
+      total: staticTasks.length + overdueInstances.length
+    });
+  } catch (error) {
+    console.error('Get overdue tasks error:', error);
+    res.status(500).json({ message: 'Server error while fetching overdue tasks' });
+  }
+});
+
 // @route   POST /api/tasks
 // @desc    Create a new task
 // @access  Private
 router.post('/', [
   auth,
-  body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title must be 1-200 characters'),
-  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
-  body('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+  ...taskCreateValidators,
+  ...taskLabelValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -101,67 +240,39 @@ router.post('/', [
       return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
     }
 
-    const { title, startDate, endDate } = req.body;
-    
-    // Validate date range if both dates are provided
-    if (startDate && endDate) {
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      
-      // Normalize dates to start of day for proper comparison
-      start.setHours(0, 0, 0, 0);
-      end.setHours(0, 0, 0, 0);
-      
-      if (end < start) {
-        return res.status(400).json({ message: 'End date must be after or equal to start date' });
-      }
-    }
+    const { title, priority, dueTime } = req.body;
+    const labels = [...new Set(req.body.labels || [])];
 
-    // Validate that if one date is provided, both should be provided
-    if ((startDate && !endDate) || (!startDate && endDate)) {
-      return res.status(400).json({ message: 'Both start date and end date must be provided together, or leave both empty for static tasks' });
+    const invalidLabels = await Label.findInvalidIds(req.user._id, labels);
+    if (invalidLabels.length > 0) {
+      return res.status(400).json({ message: 'Some labels were not found', invalidLabels });
+    }
+    
+    // Dates are calendar days in the user's time zone
+    const { error, fields } = resolveTaskDates(req.body, req.user.timezone);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
     // Get the next order number for this task type
-    let nextOrder = 1;
-    if (startDate && endDate) {
-      // For date-based tasks, get the highest order for this date
-      const existingTasks = await Task.findTasksForDate(req.user._id, new Date(startDate));
-      if (existingTasks.length > 0) {
-        const maxOrder = Math.max(...existingTasks.map(t => t.order || 0));
-        nextOrder = maxOrder + 1;
-      }
-    } else {
-      // For static tasks, get the highest order
-      const existingTasks = await Task.find({ 
-        userId: req.user._id,
-        $or: [
-          { startDate: null },
-          { endDate: null },
-          { $and: [{ startDate: { $exists: false } }, { endDate: { $exists: false } }] }
-        ]
-      });
-      if (existingTasks.length > 0) {
-        const maxOrder = Math.max(...existingTasks.map(t => t.order || 0));
-        nextOrder = maxOrder + 1;
-      }
-    }
+    const nextOrder = await Task.getNextOrder(req.user._id, fields.startDate);
 
     const taskData = {
       title,
       userId: req.user._id,
-      order: nextOrder
+      organization: req.user.organization,
+      order: nextOrder,
+      priority,
+      dueTime,
+      labels,
+      ...fields
     };
 
-    // Only add dates if both are provided
-    if (startDate && endDate) {
-      taskData.startDate = new Date(startDate);
-      taskData.endDate = new Date(endDate);
-    }
-
     const task = new Task(taskData);
     await task.save();
-    await task.populate('subtasks');
+    await task.populate(['subtasks', { path: 'labels', select: 'name color' }]);
+    await publish('task.created', { user: req.user, data: { task: taskSummary(task) } });
+    await notify(task, 'task.created', { task: taskSummary(task) });
 
     res.status(201).json({ message: 'Task created successfully', task });
   } catch (error) {
@@ -178,7 +289,13 @@ router.put('/:id', [
   body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be 1-200 characters'),
   body('completed').optional().isBoolean().withMessage('Completed must be a boolean'),
   body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
-  body('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+  body('endDate').optional({ values: 'null' }).isISO8601().withMessage('End date must be a valid date'),
+  body('recurrence').optional({ values: 'null' }).custom(isValidRecurrence),
+  body('recurrenceExceptions').optional().isArray().withMessage('Recurrence exceptions must be an array of dates'),
+  body('recurrenceExceptions.*').isISO8601().withMessage('Recurrence exceptions must be valid dates'),
+  body('priority').optional().isIn(PRIORITY_LEVELS).withMessage(`Priority must be one of: ${PRIORITY_LEVELS.join(', ')}`),
+  body('dueTime').optional({ values: 'null' }).matches(DUE_TIME_PATTERN).withMessage('Due time must be in HH:mm format'),
+  ...taskLabelValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -187,27 +304,53 @@ router.put('/:id', [
     }
 
     const { id } = req.params;
-    const updates = req.body;
+    // Only the fields above; organization, assignment, deletedAt and the like stay server-side
+    const updates = {};
+    for (const field of TASK_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
 
     const task = await Task.findOne({ _id: id, userId: req.user._id });
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
+    // Labels replace the task's current set and must belong to the user
+    if (Array.isArray(updates.labels)) {
+      updates.labels = [...new Set(updates.labels)];
+      const invalidLabels = await Label.findInvalidIds(req.user._id, updates.labels);
+      if (invalidLabels.length > 0) {
+        return res.status(400).json({ message: 'Some labels were not found', invalidLabels });
+      }
+    }
+
+    // Normalize incoming dates to calendar days in the user's time zone
+    ['startDate', 'endDate'].forEach(field => {
+      if (updates.hasOwnProperty(field)) {
+        updates[field] = toCalendarDate(updates[field], req.user.timezone);
+      }
+    });
+    if (Array.isArray(updates.recurrenceExceptions)) {
+      updates.recurrenceExceptions = updates.recurrenceExceptions.map(date => toCalendarDate(date, req.user.timezone));
+    }
+
     // Validate date range if dates are being updated
     if (updates.startDate || updates.endDate) {
-      const startDate = updates.startDate ? new Date(updates.startDate) : task.startDate;
-      const endDate = updates.endDate ? new Date(updates.endDate) : task.endDate;
-      
-      // Normalize dates to start of day for proper comparison
-      if (startDate) startDate.setHours(0, 0, 0, 0);
-      if (endDate) endDate.setHours(0, 0, 0, 0);
+      const startDate = updates.startDate || task.startDate;
+      const endDate = updates.endDate || task.endDate;
       
       if (endDate && startDate && endDate < startDate) {
         return res.status(400).json({ message: 'End date must be after or equal to start date' });
       }
     }
 
+    // A recurrence rule only makes sense with a start date
+    const recurrence = updates.hasOwnProperty('recurrence') ? updates.recurrence : task.recurrence;
+    const startDate = updates.hasOwnProperty('startDate') ? updates.startDate : task.startDate;
+    if (recurrence && !startDate) {
+      return res.status(400).json({ message: 'Recurring tasks require a start date' });
+    }
+
     // If task completion is being toggled, update all subtasks accordingly
     if (updates.hasOwnProperty('completed')) {
       await Subtask.updateMany(
@@ -218,7 +361,15 @@ router.put('/:id', [
 
     Object.assign(task, updates);
     await task.save();
-    await task.populate('subtasks');
+
+    // Dates or due time may have moved the task's reminders
+    await rescheduleReminders({ taskId: task._id });
+    await task.populate(['subtasks', { path: 'labels', select: 'name color' }]);
+    await publish('task.updated', {
+      user: req.user,
+      data: { task: taskSummary(task), changes: Object.keys(updates) }
+    });
+    await notify(task, 'task.updated', { task: taskSummary(task), changes: Object.keys(updates) });
 
     res.json({ message: 'Task updated successfully', task });
   } catch (error) {
@@ -228,7 +379,7 @@ router.put('/:id', [
 });
 
 // @route   DELETE /api/tasks/:id
-// @desc    Delete a task and its subtasks
+// @desc    Move a task with its subtasks and history to the trash (see /api/trash)
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
@@ -239,13 +390,11 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Delete all subtasks first
-    await Subtask.deleteMany({ taskId: id });
-    
-    // Delete the task
-    await Task.findByIdAndDelete(id);
+    await trashTask(task);
+    await publish('task.deleted', { user: req.user, data: { task: taskSummary(task) } });
+    await notify(task, 'task.deleted', { task: taskSummary(task) });
 
-    res.json({ message: 'Task and its subtasks deleted successfully' });
+    res.json({ message: 'Task moved to the trash', purgeAt: purgeDate(task.deletedAt) });
   } catch (error) {
     console.error('Delete task error:', error);
     res.status(500).json({ message: 'Server error while deleting task' });
@@ -303,6 +452,7 @@ router.post('/:taskId/subtasks', [
     }
 
     console.log(`Updated ${existingInstances.length} task instances with new subtask`);
+    await notify(task, 'subtask.created', { subtask: subtaskSummary(subtask) });
 
     res.status(201).json({ message: 'Subtask created successfully', subtask });
   } catch (error) {
@@ -343,21 +493,14 @@ router.put('/:id/order', [
 
     // Get all tasks for the same date or static tasks
     let allTasks;
-    if (task.startDate && task.endDate) {
+    if (task.startDate && (task.endDate || task.recurrence)) {
       // Date-based task - get tasks for the same date
       console.log('Getting date-based tasks for:', task.startDate);
       allTasks = await Task.findTasksForDate(req.user._id, task.startDate);
     } else {
       // Static task
       console.log('Getting static tasks');
-      allTasks = await Task.find({ 
-        userId: req.user._id,
-        $or: [
-          { startDate: null },
-          { endDate: null },
-          { $and: [{ startDate: { $exists: false } }, { endDate: { $exists: false } }] }
-        ]
-      }).sort({ order: 1, createdAt: -1 });
+      allTasks = await Task.findStaticTasks(req.user._id).sort({ order: 1, createdAt: -1 });
     }
 
     console.log('All tasks found:', allTasks.length);
@@ -433,6 +576,7 @@ router.put('/:id/order', [
 
     console.log(`Task orders swapped successfully: "${currentTask.title}" now has order ${currentTask.order}, "${targetTask.title}" now has order ${targetTask.order}`);
     console.log('=== TASK REORDER COMPLETE ===');
+    await notify(task, 'tasks.refresh', { reason: 'reorder' });
     
     res.json({ 
       message: 'Task order updated successfully',
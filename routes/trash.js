@@ -0,0 +1,167 @@
+const express = require('express');
+const Task = require('../models/Task');
+const Subtask = require('../models/Subtask');
+const auth = require('../middleware/auth');
+const { notify } = require('../services/live');
+const {
+  TRASH_RETENTION_DAYS,
+  purgeDate,
+  restoreTask,
+  purgeTask,
+  restoreSubtask,
+  purgeSubtask
+} = require('../services/trash');
+
+const router = express.Router();
+
+// A trashed subtask of the user, found through its (live) task
+const findTrashedSubtask = async (userId, id) => {
+  const subtask = await Subtask.findOne({ _id: id, deletedAt: { $ne: null } });
+  if (!subtask) return null;
+  const task = await Task.findOne({ _id: subtask.taskId, userId }).select('userId organization deletedAt') ||
+    await Task.findOne({ _id: subtask.taskId, userId, deletedAt: { $ne: null } }).select('userId organization deletedAt');
+  return task ? { subtask, task } : null;
+};
+
+// @route   GET /api/trash
+// @desc    Trashed tasks and subtasks of the current user with their purge dates
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const tasks = await Task.find({ userId: req.user._id, deletedAt: { $ne: null } })
+      .populate('labels', 'name color')
+      .sort({ deletedAt: -1 });
+
+    // Subtasks that went to the trash with their task are restored with it
+    const withTask = await Subtask.aggregate([
+      { $match: { taskId: { $in: tasks.map(t => t._id) }, deletedAt: { $ne: null } } },
+      { $group: { _id: { taskId: '$taskId', deletedAt: '$deletedAt' }, count: { $sum: 1 } } }
+    ]);
+    const subtaskCounts = new Map(withTask.map(g => [`${g._id.taskId}:${g._id.deletedAt.getTime()}`, g.count]));
+
+    const liveTaskIds = await Task.find({ userId: req.user._id }).distinct('_id');
+    const subtasks = await Subtask.find({ taskId: { $in: liveTaskIds }, deletedAt: { $ne: null } })
+      .populate('taskId', 'title')
+      .sort({ deletedAt: -1 });
+
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      tasks: tasks.map(task => ({
+        ...task.toObject(),
+        subtaskCount: subtaskCounts.get(`${task._id}:${task.deletedAt.getTime()}`) || 0,
+        purgeAt: purgeDate(task.deletedAt)
+      })),
+      subtasks: subtasks.map(subtask => ({ ...subtask.toObject(), purgeAt: purgeDate(subtask.deletedAt) }))
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ message: 'Server error while fetching trash' });
+  }
+});
+
+// @route   POST /api/trash/tasks/:id/restore
+// @desc    Restore a task with its subtasks, instance history and reminders
+// @access  Private
+router.post('/tasks/:id/restore', auth, async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, userId: req.user._id, deletedAt: { $ne: null } });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found in the trash' });
+    }
+
+    await restoreTask(task);
+    await task.populate(['subtasks', { path: 'labels', select: 'name color' }]);
+    await notify(task, 'tasks.refresh', { reason: 'restore' });
+
+    res.json({ message: 'Task restored successfully', task });
+  } catch (error) {
+    console.error('Restore task error:', error);
+    res.status(500).json({ message: 'Server error while restoring task' });
+  }
+});
+
+// @route   DELETE /api/trash/tasks/:id
+// @desc    Permanently delete a trashed task and everything that belongs to it
+// @access  Private
+router.delete('/tasks/:id', auth, async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, userId: req.user._id, deletedAt: { $ne: null } });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found in the trash' });
+    }
+
+    await purgeTask(task._id);
+
+    res.json({ message: 'Task permanently deleted' });
+  } catch (error) {
+    console.error('Purge task error:', error);
+    res.status(500).json({ message: 'Server error while permanently deleting task' });
+  }
+});
+
+// @route   POST /api/trash/subtasks/:id/restore
+// @desc    Restore a subtask (and its completion history) to its task's checklist
+// @access  Private
+router.post('/subtasks/:id/restore', auth, async (req, res) => {
+  try {
+    const found = await findTrashedSubtask(req.user._id, req.params.id);
+    if (!found) {
+      return res.status(404).json({ message: 'Subtask not found in the trash' });
+    }
+    if (found.task.deletedAt) {
+      return res.status(400).json({ message: 'The task of this subtask is in the trash; restore the task instead' });
+    }
+
+    const subtask = await restoreSubtask(found.subtask);
+    await notify(found.task, 'tasks.refresh', { reason: 'restore' });
+
+    res.json({ message: 'Subtask restored successfully', subtask });
+  } catch (error) {
+    console.error('Restore subtask error:', error);
+    res.status(500).json({ message: 'Server error while restoring subtask' });
+  }
+});
+
+// @route   DELETE /api/trash/subtasks/:id
+// @desc    Permanently delete a trashed subtask and its history
+// @access  Private
+router.delete('/subtasks/:id', auth, async (req, res) => {
+  try {
+    const found = await findTrashedSubtask(req.user._id, req.params.id);
+    if (!found) {
+      return res.status(404).json({ message: 'Subtask not found in the trash' });
+    }
+
+    await purgeSubtask(found.subtask);
+
+    res.json({ message: 'Subtask permanently deleted' });
+  } catch (error) {
+    console.error('Purge subtask error:', error);
+    res.status(500).json({ message: 'Server error while permanently deleting subtask' });
+  }
+});
+
+// @route   DELETE /api/trash
+// @desc    Empty the trash
+// @access  Private
+router.delete('/', auth, async (req, res) => {
+  try {
+    const tasks = await Task.find({ userId: req.user._id, deletedAt: { $ne: null } }).select('_id');
+    for (const task of tasks) {
+      await purgeTask(task._id);
+    }
+
+    const liveTaskIds = await Task.find({ userId: req.user._id }).distinct('_id');
+    const subtasks = await Subtask.find({ taskId: { $in: liveTaskIds }, deletedAt: { $ne: null } });
+    for (const subtask of subtasks) {
+      await purgeSubtask(subtask);
+    }
+
+    res.json({ message: 'Trash emptied', tasks: tasks.length, subtasks: subtasks.length });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({ message: 'Server error while emptying trash' });
+  }
+});
+
+module.exports = router;
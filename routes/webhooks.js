@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const auth = require('../middleware/auth');
+const { requirePermission, orgScope } = require('../middleware/admin');
+const { EVENT_TYPES } = require('../services/events');
+const { redeliver } = require('../services/webhooks');
+const { snapshot, recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// Webhook fields shared by create and update; `optional` for partial updates
+const webhookValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('url').isURL({ protocols: ['https'], require_protocol: true }).withMessage('Webhook URL must be an https URL'),
+    field('events').isArray({ min: 1 }).withMessage('Events must be a non-empty array'),
+    body('events.*').isIn([...EVENT_TYPES, '*']).withMessage(`Events must be "*" or one of: ${EVENT_TYPES.join(', ')}`),
+    body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+    body('active').optional().isBoolean().withMessage('Active must be a boolean')
+  ];
+};
+
+const WEBHOOK_FIELDS = ['url', 'events', 'description', 'active'];
+
+// @route   GET /api/admin/webhooks
+// @desc    Get the organization's webhooks
+// @access  Private (webhooks.manage)
+router.get('/', auth, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find(orgScope(req))
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ webhooks, total: webhooks.length, eventTypes: EVENT_TYPES });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ message: 'Server error while fetching webhooks' });
+  }
+});
+
+// @route   POST /api/admin/webhooks
+// @desc    Register a webhook endpoint, e.g. { url, events: ["task.created", "instance.completed"] }.
+//          The signing secret is only returned here and when rotated.
+// @access  Private (webhooks.manage)
+router.post('/', [auth, requirePermission('webhooks.manage'), ...webhookValidators(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const secret = Webhook.generateSecret();
+    const webhook = new Webhook({
+      secret,
+      organization: req.user.organization || null,
+      createdBy: req.user._id
+    });
+    for (const field of WEBHOOK_FIELDS) {
+      if (req.body[field] !== undefined) webhook[field] = req.body[field];
+    }
+    webhook.events = [...new Set(webhook.events)];
+    await webhook.save();
+    await recordAudit(req, {
+      action: 'webhook.create',
+      target: { type: 'webhook', id: webhook._id, label: webhook.url },
+      organization: webhook.organization,
+      after: webhook
+    });
+
+    const result = webhook.toObject();
+    result.secret = secret;
+    res.status(201).json({ message: 'Webhook created successfully', webhook: result });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ message: 'Server error while creating webhook' });
+  }
+});
+
+// @route   PUT /api/admin/webhooks/:id
+// @desc    Update a webhook's URL, events, description or active flag
+// @access  Private (webhooks.manage)
+router.put('/:id', [auth, requirePermission('webhooks.manage'), ...webhookValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const webhook = await Webhook.findOne({ _id: req.params.id, ...orgScope(req) });
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const before = snapshot(webhook);
+    for (const field of WEBHOOK_FIELDS) {
+      if (req.body[field] !== undefined) webhook[field] = req.body[field];
+    }
+    webhook.events = [...new Set(webhook.events)];
+    await webhook.save();
+    await recordAudit(req, {
+      action: 'webhook.update',
+      target: { type: 'webhook', id: webhook._id, label: webhook.url },
+      organization: webhook.organization,
+      before,
+      after: webhook
+    });
+
+    res.json({ message: 'Webhook updated successfully', webhook });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ message: 'Server error while updating webhook' });
+  }
+});
+
+// @route   POST /api/admin/webhooks/:id/rotate-secret
+// @desc    Replace a webhook's signing secret; the old one stops working immediately
+// @access  Private (webhooks.manage)
+router.post('/:id/rotate-secret', auth, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const secret = Webhook.generateSecret();
+    const webhook = await Webhook.findOneAndUpdate(
+      { _id: req.params.id, ...orgScope(req) },
+      { $set: { secret } },
+      { new: true }
+    );
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'webhook.rotate_secret',
+      target: { type: 'webhook', id: webhook._id, label: webhook.url },
+      organization: webhook.organization
+    });
+
+    res.json({ message: 'Webhook secret rotated successfully', secret });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ message: 'Server error while rotating webhook secret' });
+  }
+});
+
+// @route   DELETE /api/admin/webhooks/:id
+// @desc    Delete a webhook and its delivery history
+// @access  Private (webhooks.manage)
+router.delete('/:id', auth, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findOneAndDelete({ _id: req.params.id, ...orgScope(req) });
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    await recordAudit(req, {
+      action: 'webhook.delete',
+      target: { type: 'webhook', id: webhook._id, label: webhook.url },
+      organization: webhook.organization,
+      before: webhook
+    });
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ message: 'Server error while deleting webhook' });
+  }
+});
+
+// @route   GET /api/admin/webhooks/:id/deliveries
+// @desc    Delivery history of a webhook (?status=&event=&limit=)
+// @access  Private (webhooks.manage)
+router.get('/:id/deliveries', [
+  auth,
+  requirePermission('webhooks.manage'),
+  query('status').optional().isIn(['pending', 'succeeded', 'failed']).withMessage('Status must be pending, succeeded or failed'),
+  query('event').optional().isIn(EVENT_TYPES).withMessage('Unknown event type'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const webhook = await Webhook.findOne({ _id: req.params.id, ...orgScope(req) }).select('_id');
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const filter = { webhookId: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.event) filter.event = req.query.event;
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(req.query.limit ? Number(req.query.limit) : 50);
+
+    res.json({ deliveries });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ message: 'Server error while fetching webhook deliveries' });
+  }
+});
+
+// @route   POST /api/admin/webhooks/deliveries/:deliveryId/redeliver
+// @desc    Send an earlier delivery's payload again (as a new delivery with the current secret)
+// @access  Private (webhooks.manage)
+router.post('/deliveries/:deliveryId/redeliver', auth, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, ...orgScope(req) });
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const webhook = await Webhook.findById(delivery.webhookId).select('active');
+    if (!webhook || !webhook.active) {
+      return res.status(400).json({ message: 'Cannot redeliver to an inactive or deleted webhook' });
+    }
+
+    const redelivery = await redeliver(delivery);
+    await recordAudit(req, {
+      action: 'webhook.redeliver',
+      target: { type: 'webhook_delivery', id: delivery._id, label: delivery.event },
+      organization: delivery.organization,
+      after: { redeliveryId: redelivery._id, status: redelivery.status }
+    });
+
+    res.json({ message: 'Delivery sent again', delivery: redelivery });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({ message: 'Server error while redelivering webhook' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const { connectDB } = require('./index');
+const { runDueReminders } = require('./services/reminders');
+const { retryPendingDeliveries } = require('./services/webhooks');
+const { purgeExpiredTrash } = require('./services/trash');
+const { deleteScheduledAccounts } = require('./services/accounts');
+
+// Scheduled Lambda: sends due reminders, sends pending webhook deliveries, purges old trash
+// and deletes accounts whose deletion grace period is over
+// (see serverless.yml for the schedule)
+module.exports.handler = async (event, context) => {
+  context.callbackWaitsForEmptyEventLoop = false;
+  await connectDB();
+
+  const summary = await runDueReminders();
+  console.log('Reminder run:', JSON.stringify(summary));
+
+  const webhooks = await retryPendingDeliveries();
+  console.log('Webhook retry run:', JSON.stringify(webhooks));
+
+  const trash = await purgeExpiredTrash();
+  console.log('Trash purge run:', JSON.stringify(trash));
+
+  const accounts = await deleteScheduledAccounts();
+  console.log('Account deletion run:', JSON.stringify(accounts));
+
+  return { reminders: summary, webhooks, trash, accounts };
+};
@@ -0,0 +1,105 @@
+// Local SMTP stand-in for development: accepts every message and prints it instead of delivering it.
+//
+// Usage:
+//   npm run dev-mail -- --port 1025
+// then start the API with SMTP_HOST=localhost SMTP_PORT=1025 (MAIL_TRANSPORT defaults to smtp).
+
+const net = require('net');
+
+const getArg = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const PORT = Number(getArg('port', process.env.DEV_MAIL_PORT || 1025));
+const HOST = getArg('host', '127.0.0.1');
+
+// Undo quoted-printable soft line breaks and escapes so codes and links read normally
+const decodeQuotedPrintable = (text) => text
+  .replace(/=\r?\n/g, '')
+  .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+const printMessage = (envelope, data) => {
+  const [headers, ...bodyParts] = data.split(/\r?\n\r?\n/);
+  const subject = (/^Subject: (.*)$/mi.exec(headers) || [])[1] || '(no subject)';
+  const body = bodyParts.join('\n\n');
+
+  console.log('='.repeat(72));
+  console.log(`From:    ${envelope.from}`);
+  console.log(`To:      ${envelope.to.join(', ')}`);
+  console.log(`Subject: ${subject}`);
+  console.log('-'.repeat(72));
+  console.log(/quoted-printable/i.test(headers) ? decodeQuotedPrintable(body) : body);
+  console.log('='.repeat(72));
+};
+
+const server = net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let data = [];
+  let envelope = { from: null, to: [] };
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+  reply('220 organix-dev-mail ESMTP ready');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let newline;
+    while ((newline = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 2);
+
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          printMessage(envelope, data.join('\r\n'));
+          envelope = { from: null, to: [] };
+          data = [];
+          reply('250 OK: message accepted');
+        } else {
+          // Dot-stuffing: a leading ".." stands for "."
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO') {
+        reply('250-organix-dev-mail');
+        reply('250-8BITMIME');
+        reply('250-AUTH PLAIN');
+        reply('250 SMTPUTF8');
+      } else if (command === 'HELO') {
+        reply('250 organix-dev-mail');
+      } else if (command === 'MAIL') {
+        envelope.from = (/<(.*)>/.exec(line) || [])[1] || '';
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push((/<(.*)>/.exec(line) || [])[1] || '');
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        inData = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'RSET') {
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+      } else if (command === 'NOOP') {
+        reply('250 OK');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else if (command === 'AUTH') {
+        // Accept any credentials
+        reply('235 Authentication successful');
+      } else {
+        reply('502 Command not implemented');
+      }
+    }
+  });
+
+  socket.on('error', (error) => console.error('Dev mail connection error:', error.message));
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Dev mail server listening on ${HOST}:${PORT}`);
+});
@@ -0,0 +1,69 @@
+// Move existing data into an organization and bootstrap the first super-admin.
+//
+// Users, whitelist entries and tasks that do not belong to any organization yet
+// are assigned to the named organization (created if needed).
+//
+// Usage: node scripts/migrateOrganizations.js --name="Afterlife" [--slug=afterlife] [--super-admin=admin@afterlife.org.in]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { connectDB } = require('../index');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Whitelist = require('../models/Whitelist');
+
+const getArg = (name) => {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+const migrate = async () => {
+  try {
+    const name = getArg('name');
+    const superAdminEmail = getArg('super-admin');
+    if (!name) {
+      throw new Error('Missing --name for the organization');
+    }
+
+    await connectDB();
+
+    // Find or create the organization
+    const slug = getArg('slug') || Organization.slugify(name);
+    let organization = await Organization.findOne({ slug });
+    let superAdmin = superAdminEmail ? await User.findOne({ email: superAdminEmail.toLowerCase() }) : null;
+
+    if (superAdminEmail && !superAdmin) {
+      throw new Error(`No user found with email ${superAdminEmail}`);
+    }
+
+    if (!organization) {
+      const creator = superAdmin || await User.findOne({ isAdmin: true }).sort({ createdAt: 1 });
+      if (!creator) {
+        throw new Error('No admin user exists to own the organization; pass --super-admin');
+      }
+      organization = await Organization.create({ name, slug, createdBy: creator._id });
+      console.log(`Created organization ${name} (${slug})`);
+    }
+
+    const users = await User.updateMany({ organization: null }, { organization: organization._id });
+    const whitelist = await Whitelist.updateMany({ organization: null }, { organization: organization._id });
+    const tasks = await Task.updateMany({ organization: null }, { organization: organization._id });
+    console.log(`Assigned to ${name}: ${users.modifiedCount} users, ${whitelist.modifiedCount} whitelist entries, ${tasks.modifiedCount} tasks`);
+
+    if (superAdmin) {
+      superAdmin.isSuperAdmin = true;
+      await superAdmin.save();
+      console.log(`${superAdmin.email} is now a super-admin`);
+    }
+
+    console.log('✅ Organization migration complete');
+  } catch (error) {
+    console.error('Error migrating organizations:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+migrate();
@@ -0,0 +1,61 @@
+// Give existing users a stored role (see utils/roles.js) in place of the old admin flag.
+//
+// Until it runs, the User model reads a missing role from the old admin flag, so the order of
+// deploying and migrating does not matter; storing the roles makes them queryable directly.
+//
+// Users without a role become admins if they had admin access and members otherwise.
+// Admins saved as members by an earlier version of the model, which defaulted every missing
+// role to member, are made admins again.
+// Other users who already have a role are left alone, so the script can be run again.
+// --owner makes one user the owner of their organization.
+//
+// Usage: node scripts/migrateRoles.js [--owner=admin@afterlife.org.in]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { connectDB } = require('../index');
+const User = require('../models/User');
+
+const getArg = (name) => {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+const migrate = async () => {
+  try {
+    const ownerEmail = getArg('owner');
+
+    await connectDB();
+
+    // A role of member next to the admin flag can only come from the model default,
+    // since saving a real role change keeps isAdmin in sync
+    const admins = await User.updateMany(
+      { isAdmin: true, role: { $in: [null, 'member'] } },
+      { $set: { role: 'admin' } }
+    );
+    const members = await User.updateMany(
+      { role: { $exists: false } },
+      { $set: { role: 'member', isAdmin: false } }
+    );
+    console.log(`Assigned roles: ${admins.modifiedCount} admins, ${members.modifiedCount} members`);
+
+    if (ownerEmail) {
+      const owner = await User.findOne({ email: ownerEmail.toLowerCase() });
+      if (!owner) {
+        throw new Error(`No user found with email ${ownerEmail}`);
+      }
+      owner.role = 'owner';
+      await owner.save();
+      console.log(`${owner.email} is now an owner`);
+    }
+
+    console.log('✅ Role migration complete');
+  } catch (error) {
+    console.error('Error migrating roles:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+migrate();
@@ -0,0 +1,132 @@
+// One-off migration to per-user time zones.
+//
+// Before this change, day boundaries were computed in the server's local time,
+// so TaskInstance dates and task start/end dates are "local midnight" of
+// whatever zone the server ran in (UTC on Lambda). This script:
+//   1. gives every user without a time zone the default one,
+//   2. rewrites task dates and exceptions to UTC midnight of their calendar day,
+//   3. re-keys TaskInstances the same way, merging any instances that collide.
+//
+// Usage: node scripts/migrateTimezones.js [--source-tz=UTC] [--user-tz=Asia/Kolkata] [--dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { connectDB } = require('../index');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const TaskInstance = require('../models/TaskInstance');
+const { DEFAULT_TIMEZONE, isValidTimeZone, dateKeyInZone, dateFromKey } = require('../utils/timezone');
+
+const getArg = (name, fallback) => {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.split('=')[1] : fallback;
+};
+
+const sourceTz = getArg('source-tz', 'UTC');
+const userTz = getArg('user-tz', DEFAULT_TIMEZONE);
+const dryRun = process.argv.includes('--dry-run');
+
+// Calendar day the old code meant by this Date, as a stored (UTC midnight) Date
+const normalize = (date) => (date ? dateFromKey(dateKeyInZone(date, sourceTz)) : date);
+const sameTime = (a, b) => (a ? a.getTime() : null) === (b ? b.getTime() : null);
+
+const migrateUsers = async () => {
+  const result = dryRun
+    ? { modifiedCount: await User.countDocuments({ timezone: { $exists: false } }) }
+    : await User.updateMany({ timezone: { $exists: false } }, { $set: { timezone: userTz } });
+  console.log(`Users given time zone ${userTz}: ${result.modifiedCount}`);
+};
+
+const migrateTasks = async () => {
+  let updated = 0;
+  const tasks = await Task.find({ startDate: { $ne: null } });
+
+  for (const task of tasks) {
+    const startDate = normalize(task.startDate);
+    const endDate = normalize(task.endDate);
+    const exceptions = (task.recurrenceExceptions || []).map(normalize);
+
+    const changed = !sameTime(startDate, task.startDate) ||
+      !sameTime(endDate, task.endDate) ||
+      exceptions.some((date, i) => !sameTime(date, task.recurrenceExceptions[i]));
+
+    if (!changed) continue;
+    updated++;
+
+    if (!dryRun) {
+      // Bypass validators: historical data may not satisfy newer rules
+      await Task.updateOne(
+        { _id: task._id },
+        { $set: { startDate, endDate, recurrenceExceptions: exceptions } }
+      );
+    }
+  }
+
+  console.log(`Tasks with normalized dates: ${updated} of ${tasks.length}`);
+};
+
+const migrateInstances = async () => {
+  let moved = 0;
+  let merged = 0;
+  const instances = await TaskInstance.find({}).sort({ updatedAt: -1 });
+
+  for (const instance of instances) {
+    const date = normalize(instance.date);
+    if (sameTime(date, instance.date)) continue;
+
+    const existing = await TaskInstance.findOne({
+      taskId: instance.taskId,
+      userId: instance.userId,
+      date
+    });
+
+    if (existing) {
+      // Keep whichever completion was recorded on either copy
+      existing.completed = existing.completed || instance.completed;
+      for (const si of instance.subtaskInstances) {
+        const match = existing.subtaskInstances.find(e => e.subtaskId.toString() === si.subtaskId.toString());
+        if (match) {
+          match.completed = match.completed || si.completed;
+        } else {
+          existing.subtaskInstances.push({ subtaskId: si.subtaskId, completed: si.completed });
+        }
+      }
+      merged++;
+      if (!dryRun) {
+        await existing.save();
+        await TaskInstance.deleteOne({ _id: instance._id });
+      }
+    } else {
+      moved++;
+      if (!dryRun) {
+        await TaskInstance.updateOne({ _id: instance._id }, { $set: { date } });
+      }
+    }
+  }
+
+  console.log(`Task instances re-keyed: ${moved}, merged into an existing day: ${merged}`);
+};
+
+const migrate = async () => {
+  try {
+    if (!isValidTimeZone(sourceTz) || !isValidTimeZone(userTz)) {
+      throw new Error(`Invalid time zone: ${isValidTimeZone(sourceTz) ? userTz : sourceTz}`);
+    }
+
+    await connectDB();
+    console.log(`Migrating dates from server zone ${sourceTz}${dryRun ? ' (dry run)' : ''}`);
+
+    await migrateUsers();
+    await migrateTasks();
+    await migrateInstances();
+
+    console.log('✅ Time zone migration complete');
+  } catch (error) {
+    console.error('Error migrating time zones:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+migrate();
@@ -0,0 +1,111 @@
+// Account deletion. deleteUserAccount is the one cascade used by both the admin route and
+// self-service deletion: everything owned by the user is removed, and references to them in
+// shared records (groups, assignments, organizations, ...) are cleared. Audit log entries are
+// append-only and keep the copied name and email of the actor.
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Subtask = require('../models/Subtask');
+const TaskInstance = require('../models/TaskInstance');
+const Label = require('../models/Label');
+const Reminder = require('../models/Reminder');
+const ReminderDelivery = require('../models/ReminderDelivery');
+const Session = require('../models/Session');
+const ResetCode = require('../models/ResetCode');
+const Whitelist = require('../models/Whitelist');
+const Assignment = require('../models/Assignment');
+const UserGroup = require('../models/UserGroup');
+const Organization = require('../models/Organization');
+const Webhook = require('../models/Webhook');
+const Invitation = require('../models/Invitation');
+const DomainRule = require('../models/DomainRule');
+const { recordAudit } = require('./audit');
+
+const ACCOUNT_DELETION_GRACE_DAYS = process.env.ACCOUNT_DELETION_GRACE_DAYS !== undefined
+  ? Number(process.env.ACCOUNT_DELETION_GRACE_DAYS)
+  : 14;
+const BATCH_SIZE = Number(process.env.ACCOUNT_DELETION_BATCH_SIZE) || 20;
+
+// Remove a user and everything related to them in one transaction. Returns counts per collection.
+const deleteUserAccount = async (user) => {
+  const userId = user._id;
+  const summary = {};
+
+  const dbSession = await mongoose.startSession();
+  try {
+    await dbSession.withTransaction(async () => {
+      const options = { session: dbSession };
+
+      // Tasks in the trash belong to the user too
+      const taskIds = [
+        ...await Task.find({ userId }).distinct('_id').session(dbSession),
+        ...await Task.find({ userId, deletedAt: { $ne: null } }).distinct('_id').session(dbSession)
+      ];
+
+      // Owned data
+      summary.subtasks = (await Subtask.deleteMany({ taskId: { $in: taskIds } }, options)).deletedCount;
+      summary.taskInstances = (await TaskInstance.deleteMany({ userId }, options)).deletedCount;
+      summary.tasks = (await Task.deleteMany({ userId }, options)).deletedCount;
+      summary.labels = (await Label.deleteMany({ userId }, options)).deletedCount;
+      summary.reminders = (await Reminder.deleteMany({ userId }, options)).deletedCount;
+      await ReminderDelivery.deleteMany({ userId }, options);
+      await Session.deleteMany({ userId }, options);
+      await ResetCode.deleteMany({ email: user.email }, options);
+      // The whitelist entry holds the email address, so it goes too
+      await Whitelist.deleteMany({ $or: [{ email: user.email }, { usedBy: userId }] }, options);
+      await Invitation.deleteMany({ $or: [{ email: user.email }, { acceptedBy: userId }] }, options);
+
+      // References in shared records
+      await Whitelist.updateMany({ addedBy: userId }, { $set: { addedBy: null } }, options);
+      await ResetCode.updateMany({ generatedBy: userId }, { $set: { generatedBy: null } }, options);
+      await Task.updateMany({ createdBy: userId }, { $set: { createdBy: null } }, options);
+      await Assignment.updateMany({ recipients: userId }, { $pull: { recipients: userId } }, options);
+      await Assignment.updateMany({ createdBy: userId }, { $set: { createdBy: null } }, options);
+      await UserGroup.updateMany({ members: userId }, { $pull: { members: userId } }, options);
+      await UserGroup.updateMany({ createdBy: userId }, { $set: { createdBy: null } }, options);
+      await Organization.updateMany({ createdBy: userId }, { $set: { createdBy: null } }, options);
+      await Webhook.updateMany({ createdBy: userId }, { $set: { createdBy: null } }, options);
+      await Invitation.updateMany({ invitedBy: userId }, { $set: { invitedBy: null } }, options);
+      await DomainRule.updateMany({ createdBy: userId }, { $set: { createdBy: null } }, options);
+
+      await User.deleteOne({ _id: userId }, options);
+    });
+  } finally {
+    await dbSession.endSession();
+  }
+
+  return summary;
+};
+
+// When a deletion requested now would run
+const deletionDate = (now = new Date()) => new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+// Delete accounts whose grace period is over (called from scheduler.js). Returns counts.
+const deleteScheduledAccounts = async (now = new Date()) => {
+  const users = await User.find({ deletionScheduledFor: { $ne: null, $lte: now } }).limit(BATCH_SIZE);
+
+  const summary = { due: users.length, deleted: 0 };
+  for (const user of users) {
+    try {
+      await deleteUserAccount(user);
+      await recordAudit(null, {
+        action: 'account.delete',
+        actor: user,
+        target: { type: 'user', id: user._id, label: user.email },
+        organization: user.organization,
+        before: user
+      });
+      summary.deleted++;
+    } catch (error) {
+      console.error('Scheduled account deletion error:', user._id.toString(), error);
+    }
+  }
+  return summary;
+};
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  deleteUserAccount,
+  deletionDate,
+  deleteScheduledAccounts
+};
@@ -0,0 +1,49 @@
+// Audit trail of administrative actions and sensitive auth events. Routes call recordAudit after
+// a change is saved; the entry is append-only (models/AuditLog.js).
+const AuditLog = require('../models/AuditLog');
+
+// Fields never copied into a snapshot
+const SENSITIVE_FIELDS = ['password', 'secret', 'code', 'calendarToken', 'refreshTokenHash', 'nonce', '__v'];
+
+// Plain copy of a document (or object) without secrets, for the before/after fields
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  for (const field of SENSITIVE_FIELDS) {
+    delete plain[field];
+  }
+  return plain;
+};
+
+// Record one action. `req` supplies the actor (req.user), IP and user agent; pass `actor` for
+// public routes where nobody is signed in yet (e.g. the user resetting their password), and a
+// null `req` for scheduled jobs.
+// `target` is { type, id, label }. Failures are logged and never fail the request.
+const recordAudit = async (req, { action, target, before = null, after = null, organization, actor }) => {
+  const who = actor || (req && req.user) || null;
+  try {
+    return await AuditLog.create({
+      actor: {
+        userId: who ? who._id : null,
+        name: who ? who.name : '',
+        email: who ? who.email : ''
+      },
+      action,
+      target: {
+        type: target.type,
+        id: target.id ? target.id.toString() : null,
+        label: target.label || ''
+      },
+      organization: organization !== undefined ? organization : (who && who.organization) || null,
+      before: snapshot(before),
+      after: snapshot(after),
+      ip: (req && req.ip) || '',
+      userAgent: (req && req.get('User-Agent')) || ''
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+    return null;
+  }
+};
+
+module.exports = { snapshot, recordAudit };
@@ -0,0 +1,60 @@
+// In-process event bus for domain events (task.created, instance.completed, ...).
+// Routes publish after a change is saved; subscribers such as outgoing webhooks react to it.
+// Publishing waits for subscribers because Lambda freezes the process after the response.
+const crypto = require('crypto');
+
+const EVENT_TYPES = [
+  'task.created',
+  'task.updated',
+  'task.deleted',
+  'subtask.completed',
+  'instance.completed',
+  'user.registered'
+];
+
+const subscribers = [];
+
+// Register `handler(event)`; returns a function that removes it again
+const subscribe = (handler) => {
+  subscribers.push(handler);
+  return () => {
+    const index = subscribers.indexOf(handler);
+    if (index !== -1) subscribers.splice(index, 1);
+  };
+};
+
+// Payload fragments shared by the routes that publish events
+const taskSummary = (task) => ({
+  id: task._id,
+  title: task.title,
+  completed: task.completed,
+  startDate: task.startDate || null,
+  endDate: task.endDate || null,
+  recurrence: task.recurrence || null,
+  priority: task.priority,
+  dueTime: task.dueTime || null,
+  userId: task.userId
+});
+
+// Publish an event. `user` is the acting user (for owner and organization); `data` is the payload.
+// Subscriber errors are logged and never fail the request that published the event.
+const publish = async (type, { user, data }) => {
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    userId: user ? user._id : null,
+    organization: user ? user.organization || null : null,
+    data
+  };
+
+  const results = await Promise.allSettled(subscribers.map(handler => handler(event)));
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      console.error(`Event subscriber error (${type}):`, result.reason);
+    }
+  }
+  return event;
+};
+
+module.exports = { EVENT_TYPES, subscribe, publish, taskSummary };
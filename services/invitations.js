@@ -0,0 +1,255 @@
+// Invitation links and domain rules: the ways to register besides a whitelist entry.
+// An invitation link carries a JWT naming the invitation; the stored invitation decides whether
+// it is still usable, so revoking one works before the token expires.
+// Registering through a domain rule first proves the mailbox with an emailed verification
+// token, since anyone can type an address at the domain.
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Invitation = require('../models/Invitation');
+const DomainRule = require('../models/DomainRule');
+const Whitelist = require('../models/Whitelist');
+const Assignment = require('../models/Assignment');
+const Task = require('../models/Task');
+const Subtask = require('../models/Subtask');
+const { getTransport } = require('./transports');
+const { taskSummary } = require('./events');
+const { notify } = require('./live');
+
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS) || 7;
+const EMAIL_VERIFICATION_TTL_MINUTES = Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 30;
+
+const TOKEN_OPTIONS = { issuer: 'todo-app', audience: 'todo-invitations' };
+const VERIFICATION_TOKEN_OPTIONS = { issuer: 'todo-app', audience: 'todo-email-verification' };
+
+const expiryDate = (days = INVITATION_TTL_DAYS, now = new Date()) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+// Signed token for an invitation link; expires together with the invitation.
+// The invitation must have been loaded with its nonce (select('+nonce')) or just created.
+const signInvitationToken = (invitation) => jwt.sign(
+  {
+    type: 'invitation',
+    iid: invitation._id.toString(),
+    email: invitation.email,
+    nonce: invitation.nonce,
+    exp: Math.floor(invitation.expiresAt.getTime() / 1000)
+  },
+  process.env.JWT_SECRET,
+  TOKEN_OPTIONS
+);
+
+// Look up the pending invitation a token belongs to; links of revoked, accepted or resent
+// invitations fail. Returns { invitation } or { error }.
+const findInvitationByToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, TOKEN_OPTIONS);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { error: 'This invitation has expired. Please ask for a new one.' };
+    }
+    return { error: 'Invalid invitation link' };
+  }
+
+  const invitation = decoded.type === 'invitation' && mongoose.isValidObjectId(decoded.iid)
+    ? await Invitation.findById(decoded.iid).select('+nonce')
+    : null;
+  if (!invitation || invitation.email !== decoded.email || invitation.nonce !== decoded.nonce) {
+    return { error: 'Invalid invitation link' };
+  }
+  if (!invitation.isPending()) {
+    return { error: `This invitation has been ${invitation.status === 'accepted' ? 'used' : invitation.status}` };
+  }
+  return { invitation };
+};
+
+// Registration page URL for a token, when APP_URL is configured
+const invitationLink = (token) => (process.env.APP_URL
+  ? `${process.env.APP_URL.replace(/\/+$/, '')}/register?invitation=${encodeURIComponent(token)}`
+  : null);
+
+// Email an invitation. Errors are left to the caller, which can still hand out the link itself.
+const sendInvitationEmail = async (invitation, token, { inviter, organizationName }) => {
+  const link = invitationLink(token);
+  const where = organizationName ? ` to ${organizationName}` : '';
+  const days = Math.max(1, Math.round((invitation.expiresAt - Date.now()) / (24 * 60 * 60 * 1000)));
+
+  await getTransport('email').send({
+    to: invitation.email,
+    subject: `You have been invited${where} on Organix`,
+    text: `Hi,\n\n${inviter ? inviter.name : 'An administrator'} has invited you${where} on Organix.\n\n` +
+      (link ? `Create your account here: ${link}\n\n` : `Your invitation code is:\n${token}\n\n`) +
+      `The invitation expires in ${days} day(s).\n\n- Organix`
+  });
+};
+
+// Signed token proving its holder received mail at `email`
+const signEmailVerificationToken = (email) => jwt.sign(
+  { type: 'email_verification', email },
+  process.env.JWT_SECRET,
+  { ...VERIFICATION_TOKEN_OPTIONS, expiresIn: EMAIL_VERIFICATION_TTL_MINUTES * 60 }
+);
+
+const isVerifiedEmail = (token, email) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, VERIFICATION_TOKEN_OPTIONS);
+    return decoded.type === 'email_verification' && decoded.email === email;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Email a verification link (or the bare token when APP_URL is not configured)
+const sendEmailVerification = async (email) => {
+  const token = signEmailVerificationToken(email);
+  const link = process.env.APP_URL
+    ? `${process.env.APP_URL.replace(/\/+$/, '')}/register?email=${encodeURIComponent(email)}&verification=${encodeURIComponent(token)}`
+    : null;
+
+  await getTransport('email').send({
+    to: email,
+    subject: 'Confirm your email address for Organix',
+    text: 'Hi,\n\nSomeone asked to create an Organix account for this address.\n\n' +
+      (link ? `Continue your registration here: ${link}\n\n` : `Your verification code is:\n${token}\n\n`) +
+      `This expires in ${EMAIL_VERIFICATION_TTL_MINUTES} minutes. If it wasn't you, you can ignore this email.\n\n- Organix`
+  });
+};
+
+// How an email address may register: an invitation (when a token is given), a whitelist entry
+// or a domain rule, in that order. Domain rules also need `emailVerificationToken` for the address.
+// Returns { source, organization, role, ... } or { error, status, verificationRequired }.
+const resolveRegistration = async (email, invitationToken, emailVerificationToken) => {
+  if (invitationToken) {
+    const { invitation, error } = await findInvitationByToken(invitationToken);
+    if (error) return { error, status: 400 };
+    if (invitation.email !== email) {
+      return { error: 'This invitation was sent to a different email address', status: 400 };
+    }
+    return { source: 'invitation', invitation, organization: invitation.organization, role: invitation.role };
+  }
+
+  const whitelistEntry = await Whitelist.findOne({ email });
+  if (whitelistEntry) {
+    if (whitelistEntry.isUsed) {
+      return { error: 'This email has already been used for registration', status: 400 };
+    }
+    return { source: 'whitelist', whitelistEntry, organization: whitelistEntry.organization, role: 'member' };
+  }
+
+  const domainRule = await DomainRule.findForEmail(email);
+  if (domainRule) {
+    if (!emailVerificationToken || !isVerifiedEmail(emailVerificationToken, email)) {
+      return {
+        error: 'Please confirm your email address first; we can send you a verification link.',
+        status: 403,
+        verificationRequired: true
+      };
+    }
+    return { source: 'domain', domainRule, organization: domainRule.organization, role: domainRule.role };
+  }
+
+  return { error: 'Email not authorized. Please contact admin to whitelist your email address.', status: 403 };
+};
+
+// Record how a new user got in. Every account keeps a used whitelist entry, which password
+// resets check, whichever way it registered. Only an entry of the user's own organization is
+// claimed; if another organization whitelisted the address meanwhile, its entry is left alone
+// (the unique email index refuses a second one).
+const completeRegistration = async (user, registration) => {
+  try {
+    await Whitelist.findOneAndUpdate(
+      { email: user.email, organization: user.organization },
+      {
+        $set: { isUsed: true, usedBy: user._id },
+        $setOnInsert: { addedBy: registration.invitation ? registration.invitation.invitedBy : null }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    console.error('Whitelist entry for a new user belongs to another organization:', user.email);
+  }
+
+  if (registration.invitation) {
+    const { invitation } = registration;
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+    await addToAssignments(user, invitation.assignments, invitation.invitedBy);
+  }
+};
+
+// Give a new user their own task for each assignment they were invited to
+// (skips assignments that were withdrawn or belong to another organization)
+const addToAssignments = async (user, assignmentIds, createdBy = null) => {
+  if (!assignmentIds || assignmentIds.length === 0) return [];
+
+  const assignments = await Assignment.find({
+    _id: { $in: assignmentIds },
+    organization: user.organization,
+    withdrawnAt: null
+  });
+
+  const taskDocs = [];
+  const subtaskDocs = [];
+  for (const assignment of assignments) {
+    const taskId = new mongoose.Types.ObjectId();
+    const userSubtasks = assignment.subtasks.map(st => ({
+      _id: new mongoose.Types.ObjectId(),
+      title: st.title,
+      notes: st.notes,
+      taskId
+    }));
+
+    taskDocs.push({
+      _id: taskId,
+      title: assignment.title,
+      userId: user._id,
+      organization: user.organization,
+      createdBy: createdBy || assignment.createdBy,
+      assignment: assignment._id,
+      order: await Task.getNextOrder(user._id, assignment.startDate),
+      subtasks: userSubtasks.map(st => st._id),
+      startDate: assignment.startDate,
+      endDate: assignment.endDate,
+      recurrence: assignment.recurrence,
+      recurrenceExceptions: assignment.recurrenceExceptions
+    });
+    subtaskDocs.push(...userSubtasks);
+  }
+  if (taskDocs.length === 0) return [];
+
+  const dbSession = await mongoose.startSession();
+  try {
+    await dbSession.withTransaction(async () => {
+      await Task.insertMany(taskDocs, { session: dbSession });
+      if (subtaskDocs.length > 0) {
+        await Subtask.insertMany(subtaskDocs, { session: dbSession });
+      }
+      await Assignment.updateMany(
+        { _id: { $in: assignments.map(a => a._id) } },
+        { $addToSet: { recipients: user._id } },
+        { session: dbSession }
+      );
+    });
+  } finally {
+    await dbSession.endSession();
+  }
+
+  for (const task of taskDocs) {
+    await notify(task, 'task.created', { task: taskSummary(task), assignment: task.assignment });
+  }
+  return taskDocs;
+};
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  expiryDate,
+  signInvitationToken,
+  findInvitationByToken,
+  invitationLink,
+  sendInvitationEmail,
+  sendEmailVerification,
+  resolveRegistration,
+  completeRegistration,
+  addToAssignments
+};
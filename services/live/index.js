@@ -0,0 +1,103 @@
+// Live updates for open event streams (GET /api/stream). Routes call notify() after a change is
+// saved; the broker fans the message out to every server instance, each of which writes it to
+// the streams subscribed to one of its channels:
+//   user:<userId>   the owner of the changed task
+//   org:<orgId>     admins watching their organization ("org:none" without one)
+//   org:*           super admins watching every organization
+// Brokers expose `name`, `publish(message)` and `subscribe(channel, handler)`, which returns
+// an unsubscribe function. LIVE_BROKER picks one: memory (default, single process) or mongo.
+const crypto = require('crypto');
+const { createMemoryBroker } = require('./memory');
+const { createMongoBroker } = require('./mongo');
+const { keyFromDate } = require('../../utils/timezone');
+
+const factories = {
+  memory: createMemoryBroker,
+  mongo: createMongoBroker
+};
+
+const LIVE_EVENT_TYPES = [
+  'task.created',
+  'task.updated',
+  'task.deleted',
+  'subtask.created',
+  'subtask.updated',
+  'subtask.deleted',
+  'instance.updated',
+  // Many tasks changed at once (imports, reordering): clients should refetch
+  'tasks.refresh'
+];
+
+let broker = null;
+
+// Broker for this process, created once
+const getBroker = () => {
+  if (!broker) {
+    const name = process.env.LIVE_BROKER || 'memory';
+    if (!factories[name]) {
+      throw new Error(`Unknown live broker "${name}"`);
+    }
+    broker = factories[name]();
+  }
+  return broker;
+};
+
+// Replace the broker, e.g. with a fresh createMemoryBroker() in tests
+const setBroker = (replacement) => {
+  broker = replacement;
+};
+
+const ALL_ORGANIZATIONS_CHANNEL = 'org:*';
+const userChannel = (userId) => `user:${userId}`;
+const orgChannel = (organization) => `org:${organization || 'none'}`;
+
+// Tell the owner's and the organization's streams about a change. `target` is anything with
+// userId and organization (a task, or { userId, organization }). Failures are logged and never
+// fail the request that made the change.
+const notify = async (target, type, data) => {
+  const message = {
+    id: crypto.randomUUID(),
+    type,
+    channels: [userChannel(target.userId), orgChannel(target.organization), ALL_ORGANIZATIONS_CHANNEL],
+    data: { userId: target.userId, ...data },
+    createdAt: new Date()
+  };
+
+  try {
+    await getBroker().publish(message);
+  } catch (error) {
+    console.error(`Live update error (${type}):`, error);
+  }
+};
+
+// Payload fragments shared by the routes that notify
+const subtaskSummary = (subtask) => ({
+  id: subtask._id,
+  taskId: subtask.taskId && subtask.taskId._id ? subtask.taskId._id : subtask.taskId,
+  title: subtask.title,
+  notes: subtask.notes,
+  completed: subtask.completed
+});
+
+const instanceSummary = (instance) => ({
+  id: instance._id,
+  taskId: instance.taskId && instance.taskId._id ? instance.taskId._id : instance.taskId,
+  date: keyFromDate(instance.date),
+  completed: instance.completed,
+  subtaskInstances: instance.subtaskInstances.map(si => ({
+    subtaskId: si.subtaskId && si.subtaskId._id ? si.subtaskId._id : si.subtaskId,
+    completed: si.completed
+  }))
+});
+
+module.exports = {
+  LIVE_EVENT_TYPES,
+  ALL_ORGANIZATIONS_CHANNEL,
+  getBroker,
+  setBroker,
+  userChannel,
+  orgChannel,
+  notify,
+  subtaskSummary,
+  instanceSummary
+};
@@ -0,0 +1,23 @@
+// In-memory broker: delivers messages to subscribers in this process only (local runs, one instance)
+const { EventEmitter } = require('events');
+
+const createMemoryBroker = () => {
+  const emitter = new EventEmitter();
+  // One listener per open stream
+  emitter.setMaxListeners(0);
+
+  return {
+    name: 'memory',
+    async publish(message) {
+      for (const channel of message.channels) {
+        emitter.emit(channel, message);
+      }
+    },
+    subscribe(channel, handler) {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    }
+  };
+};
+
+module.exports = { createMemoryBroker };
@@ -0,0 +1,57 @@
+// MongoDB broker: publishing inserts a LiveEvent, and every server instance tails the collection
+// with one change stream. Change streams need a replica set (any MongoDB Atlas cluster is one).
+const { EventEmitter } = require('events');
+const LiveEvent = require('../../models/LiveEvent');
+
+const RESTART_DELAY_MS = 5000;
+
+const createMongoBroker = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  let stream = null;
+
+  // Open the change stream on first subscribe; reopen it after errors
+  const watch = () => {
+    if (stream) return;
+    stream = LiveEvent.watch([{ $match: { operationType: 'insert' } }]);
+    stream.on('change', ({ fullDocument }) => {
+      const message = {
+        id: fullDocument._id.toString(),
+        type: fullDocument.type,
+        channels: fullDocument.channels,
+        data: fullDocument.data,
+        createdAt: fullDocument.createdAt
+      };
+      for (const channel of message.channels) {
+        emitter.emit(channel, message);
+      }
+    });
+    stream.on('error', (error) => {
+      console.error('Live change stream error:', error.message);
+      stream.close().catch(() => {});
+      stream = null;
+      setTimeout(() => {
+        if (emitter.eventNames().length > 0) watch();
+      }, RESTART_DELAY_MS).unref();
+    });
+  };
+
+  return {
+    name: 'mongo',
+    async publish(message) {
+      await LiveEvent.create({
+        type: message.type,
+        channels: message.channels,
+        data: message.data,
+        createdAt: message.createdAt
+      });
+    },
+    subscribe(channel, handler) {
+      watch();
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    }
+  };
+};
+
+module.exports = { createMongoBroker };
@@ -0,0 +1,32 @@
+// Counters for rate limiting (middleware/rateLimit.js). A store counts hits per key in fixed
+// windows and exposes `name`, `increment(key, windowMs)` -> { count, resetAt } and `reset(key)`.
+// RATE_LIMIT_STORE picks one: memory (default, single process) or mongo (shared by every
+// instance; use it on Lambda, where each container would otherwise keep its own counts).
+const { createMemoryStore } = require('./memory');
+const { createMongoStore } = require('./mongo');
+
+const factories = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let store = null;
+
+// Store for this process, created once
+const getStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!factories[name]) {
+      throw new Error(`Unknown rate limit store "${name}"`);
+    }
+    store = factories[name]();
+  }
+  return store;
+};
+
+// Replace the store, e.g. with a fresh createMemoryStore() in tests
+const setStore = (replacement) => {
+  store = replacement;
+};
+
+module.exports = { getStore, setStore };
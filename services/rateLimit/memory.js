@@ -0,0 +1,31 @@
+// In-memory store: counts hits in this process only (local runs, one instance)
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  // Forget windows that are over so the map does not grow forever
+  const sweep = (now) => {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  };
+
+  return {
+    name: 'memory',
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        if (windows.size > 10000) sweep(now);
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: new Date(window.resetAt) };
+    },
+    async reset(key) {
+      windows.delete(key);
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
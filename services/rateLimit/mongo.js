@@ -0,0 +1,27 @@
+// MongoDB store: every server instance (and every Lambda container) shares the same counts.
+// Each hit is one atomic upsert that either adds to the current window or opens a new one.
+const RateLimit = require('../../models/RateLimit');
+
+const createMongoStore = () => ({
+  name: 'mongo',
+  async increment(key, windowMs) {
+    const now = new Date();
+    const open = { $gt: ['$expiresAt', now] };
+    const window = await RateLimit.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [open, { $add: ['$count', 1] }, 1] },
+          expiresAt: { $cond: [open, '$expiresAt', new Date(now.getTime() + windowMs)] }
+        }
+      }],
+      { upsert: true, new: true }
+    );
+    return { count: window.count, resetAt: window.expiresAt };
+  },
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+});
+
+module.exports = { createMongoStore };
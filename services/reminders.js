@@ -0,0 +1,213 @@
+// Reminder scheduling and delivery. The scheduled Lambda (scheduler.js) calls runDueReminders;
+// routes call scheduleReminder / rescheduleReminders when reminders, tasks or time zones change.
+const Reminder = require('../models/Reminder');
+const ReminderDelivery = require('../models/ReminderDelivery');
+const Task = require('../models/Task');
+const TaskInstance = require('../models/TaskInstance');
+const User = require('../models/User');
+const { getTransport } = require('./transports');
+const { addDays, dateFromKey, dateKeyInZone, zonedTimeToUtc } = require('../utils/timezone');
+
+// How far ahead to look for the next task day, and how late a reminder may still go out
+const SCHEDULE_HORIZON_DAYS = 400;
+const MAX_LATENESS_MINUTES = Number(process.env.REMINDER_MAX_LATENESS_MINUTES) || 60;
+const BATCH_SIZE = Number(process.env.REMINDER_BATCH_SIZE) || 200;
+
+const isStaticTask = (task) => !task.startDate || (!task.endDate && !task.recurrence);
+
+// Days (YYYY-MM-DD) a task is on between two keys. Static tasks are on every day.
+const taskDays = (task, fromKey, toKey) => {
+  if (!isStaticTask(task)) {
+    return task.occurrencesBetween(fromKey, toKey);
+  }
+  const days = [];
+  for (let key = fromKey; key <= toKey; key = addDays(key, 1)) {
+    days.push(key);
+  }
+  return days;
+};
+
+// When the reminder fires for one task day
+const runTimeFor = (reminder, task, dateKey, timezone) => {
+  if (reminder.kind === 'daily') {
+    return zonedTimeToUtc(dateKey, reminder.time, timezone);
+  }
+  return new Date(task.dueAt(dateKey, timezone).getTime() - reminder.offsetMinutes * 60 * 1000);
+};
+
+// Next { runAt, date } strictly after `after`, or null when the task has no days left
+const nextRunAfter = (reminder, task, timezone, after = new Date()) => {
+  const fromKey = dateKeyInZone(after, timezone);
+  const toKey = addDays(fromKey, SCHEDULE_HORIZON_DAYS);
+
+  for (const date of taskDays(task, fromKey, toKey)) {
+    const runAt = runTimeFor(reminder, task, date, timezone);
+    if (runAt > after) {
+      return { runAt, date };
+    }
+  }
+  return null;
+};
+
+// Set nextRunAt/nextOccurrence on a reminder document (not saved)
+const scheduleReminder = (reminder, task, timezone, after = new Date()) => {
+  const next = reminder.enabled ? nextRunAfter(reminder, task, timezone, after) : null;
+  reminder.nextRunAt = next ? next.runAt : null;
+  reminder.nextOccurrence = next ? next.date : null;
+  return reminder;
+};
+
+// Recompute the schedule of every reminder matching `filter`, e.g. { taskId } after a task
+// edit or { userId } after a time zone change
+const rescheduleReminders = async (filter) => {
+  const reminders = await Reminder.find(filter);
+  if (reminders.length === 0) return 0;
+
+  const tasks = await Task.find({ _id: { $in: reminders.map(r => r.taskId) } });
+  const users = await User.find({ _id: { $in: reminders.map(r => r.userId) } }).select('timezone');
+  const tasksById = new Map(tasks.map(t => [t._id.toString(), t]));
+  const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+  for (const reminder of reminders) {
+    const task = tasksById.get(reminder.taskId.toString());
+    const user = usersById.get(reminder.userId.toString());
+    if (!task || !user) continue;
+    scheduleReminder(reminder, task, user.timezone);
+    await reminder.save();
+  }
+  return reminders.length;
+};
+
+// Whether the task day the reminder is for has already been completed
+const isOccurrenceCompleted = async (task, userId, dateKey) => {
+  if (isStaticTask(task)) {
+    return task.completed;
+  }
+  const instance = await TaskInstance.findOne({ taskId: task._id, userId, date: dateFromKey(dateKey) }).select('completed');
+  return Boolean(instance && instance.completed);
+};
+
+const describeDue = (reminder, task, dateKey) => {
+  if (reminder.kind === 'daily') {
+    return `"${task.title}" is on your list for ${dateKey}.`;
+  }
+  return task.dueTime
+    ? `"${task.title}" is due on ${dateKey} at ${task.dueTime}.`
+    : `"${task.title}" is due by the end of ${dateKey}.`;
+};
+
+// Channel-specific message for a reminder
+const buildMessage = (reminder, task, user, dateKey) => {
+  const summary = describeDue(reminder, task, dateKey);
+
+  if (reminder.channel === 'webhook') {
+    return {
+      url: reminder.webhookUrl,
+      payload: {
+        event: 'reminder',
+        reminderId: reminder._id,
+        kind: reminder.kind,
+        occurrenceDate: dateKey,
+        dueAt: task.dueAt(dateKey, user.timezone),
+        task: { id: task._id, title: task.title, priority: task.priority, dueTime: task.dueTime },
+        message: summary
+      }
+    };
+  }
+
+  return {
+    to: user.email,
+    subject: `Reminder: ${task.title}`,
+    text: `Hi ${user.name},\n\n${summary}\n\n- Organix`
+  };
+};
+
+// Send one reminder that is due and advance its schedule.
+// Returns the delivery status, or null if another run already claimed it.
+const processReminder = async (reminder, now) => {
+  const [task, user] = await Promise.all([
+    Task.findById(reminder.taskId),
+    User.findById(reminder.userId).select('name email timezone')
+  ]);
+
+  // The task or its owner is gone: stop the reminder
+  if (!task || !user) {
+    await Reminder.updateOne({ _id: reminder._id }, { $set: { enabled: false, nextRunAt: null, nextOccurrence: null } });
+    return null;
+  }
+
+  const scheduledFor = reminder.nextRunAt;
+  const occurrenceDate = reminder.nextOccurrence;
+  const next = nextRunAfter(reminder, task, user.timezone, now);
+
+  // Claim the run by advancing the schedule first, so overlapping runs never send twice
+  const claimed = await Reminder.updateOne(
+    { _id: reminder._id, nextRunAt: scheduledFor },
+    { $set: { nextRunAt: next ? next.runAt : null, nextOccurrence: next ? next.date : null } }
+  );
+  if (claimed.modifiedCount === 0) {
+    return null;
+  }
+
+  // The task changed since this run was planned (different days or due time): just move on
+  const planned = occurrenceDate && runTimeFor(reminder, task, occurrenceDate, user.timezone);
+  const stillOn = occurrenceDate && taskDays(task, occurrenceDate, occurrenceDate).length > 0;
+  if (!planned || !stillOn || planned.getTime() !== scheduledFor.getTime()) {
+    return null;
+  }
+
+  const delivery = {
+    reminderId: reminder._id,
+    userId: user._id,
+    taskId: task._id,
+    channel: reminder.channel,
+    occurrenceDate,
+    scheduledFor
+  };
+
+  if (now - scheduledFor > MAX_LATENESS_MINUTES * 60 * 1000) {
+    await ReminderDelivery.create({ ...delivery, status: 'skipped', reason: 'Missed: the scheduler did not run in time' });
+    return 'skipped';
+  }
+  if (reminder.onlyIfIncomplete && await isOccurrenceCompleted(task, user._id, occurrenceDate)) {
+    await ReminderDelivery.create({ ...delivery, status: 'skipped', reason: 'Task already completed' });
+    return 'skipped';
+  }
+
+  const transport = getTransport(reminder.channel);
+  try {
+    const result = await transport.send(buildMessage(reminder, task, user, occurrenceDate));
+    await ReminderDelivery.create({ ...delivery, status: 'sent', transport: transport.name, messageId: result && result.id });
+    await Reminder.updateOne({ _id: reminder._id }, { $set: { lastSentAt: now } });
+    return 'sent';
+  } catch (error) {
+    console.error('Reminder delivery error:', reminder._id.toString(), error.message);
+    await ReminderDelivery.create({ ...delivery, status: 'failed', transport: transport.name, reason: error.message });
+    return 'failed';
+  }
+};
+
+// Send every reminder whose time has come. Returns counts per outcome.
+const runDueReminders = async (now = new Date()) => {
+  const due = await Reminder.find({ enabled: true, nextRunAt: { $ne: null, $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(BATCH_SIZE);
+
+  const summary = { due: due.length, sent: 0, failed: 0, skipped: 0 };
+  for (const reminder of due) {
+    try {
+      const status = await processReminder(reminder, now);
+      if (status) summary[status]++;
+    } catch (error) {
+      console.error('Reminder processing error:', reminder._id.toString(), error);
+    }
+  }
+  return summary;
+};
+
+module.exports = {
+  nextRunAfter,
+  scheduleReminder,
+  rescheduleReminders,
+  runDueReminders
+};
@@ -0,0 +1,40 @@
+// Delivery transports. Every transport exposes `name` and `send(message)`, which resolves
+// with { id } or rejects when delivery fails.
+//   email:   { to, subject, text, html }
+//   webhook: { url, payload or body, headers }
+const { createSmtpTransport } = require('./smtp');
+const { createWebhookTransport } = require('./webhook');
+const { createMemoryTransport } = require('./memory');
+
+const factories = {
+  smtp: createSmtpTransport,
+  webhook: createWebhookTransport,
+  memory: createMemoryTransport
+};
+
+// Channel -> transport name, overridable per environment (e.g. MAIL_TRANSPORT=memory)
+const channelConfig = () => ({
+  email: process.env.MAIL_TRANSPORT || 'smtp',
+  webhook: process.env.WEBHOOK_TRANSPORT || 'webhook'
+});
+
+const instances = new Map();
+
+// Transport for a delivery channel ('email' or 'webhook'), created once per process
+const getTransport = (channel) => {
+  if (!instances.has(channel)) {
+    const name = channelConfig()[channel];
+    if (!name || !factories[name]) {
+      throw new Error(`No transport configured for channel "${channel}"`);
+    }
+    instances.set(channel, factories[name]());
+  }
+  return instances.get(channel);
+};
+
+// Replace the transport of a channel, e.g. with createMemoryTransport() in tests
+const setTransport = (channel, transport) => {
+  instances.set(channel, transport);
+};
+
+module.exports = { getTransport, setTransport, createMemoryTransport };
@@ -0,0 +1,18 @@
+// In-memory transport: keeps every message instead of delivering it (tests and local runs)
+const createMemoryTransport = () => {
+  const sent = [];
+
+  return {
+    name: 'memory',
+    sent,
+    async send(message) {
+      sent.push({ ...message, sentAt: new Date() });
+      return { id: `memory-${sent.length}` };
+    },
+    clear() {
+      sent.length = 0;
+    }
+  };
+};
+
+module.exports = { createMemoryTransport };
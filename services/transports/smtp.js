@@ -0,0 +1,31 @@
+const nodemailer = require('nodemailer');
+
+// SMTP transport for email. Configured from SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER,
+// SMTP_PASS and MAIL_FROM.
+const createSmtpTransport = (options = {}) => {
+  const config = {
+    host: options.host || process.env.SMTP_HOST || 'localhost',
+    port: Number(options.port || process.env.SMTP_PORT || 587),
+    secure: (options.secure !== undefined ? String(options.secure) : process.env.SMTP_SECURE) === 'true',
+    from: options.from || process.env.MAIL_FROM || 'Organix <no-reply@organix.local>'
+  };
+  const user = options.user || process.env.SMTP_USER;
+  const pass = options.pass || process.env.SMTP_PASS;
+
+  const mailer = nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, text, html }) {
+      const info = await mailer.sendMail({ from: config.from, to, subject, text, html });
+      return { id: info.messageId };
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
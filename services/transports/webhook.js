@@ -0,0 +1,33 @@
+// Webhook transport: POSTs JSON to `message.url`. `body` (an already serialized string, e.g. one
+// that was signed) is sent as-is; otherwise `payload` is serialized.
+// Any non-2xx response counts as a failed delivery; the error carries the HTTP `status`.
+// URLs come from users, so private and loopback addresses are refused and redirects are not
+// followed (WEBHOOK_ALLOW_PRIVATE_URLS=true lifts the address check for local development).
+const { assertPublicUrl } = require('../../utils/network');
+
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+const createWebhookTransport = () => ({
+  name: 'webhook',
+  async send({ url, payload, body, headers = {} }) {
+    if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS !== 'true') {
+      await assertPublicUrl(url);
+    }
+    const response = await fetch(url, {
+      method: 'POST',
+      redirect: 'manual',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'Organix-Webhook/1.0', ...headers },
+      body: typeof body === 'string' ? body : JSON.stringify(payload),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Webhook responded with HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return { id: null, status: response.status };
+  }
+});
+
+module.exports = { createWebhookTransport };
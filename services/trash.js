@@ -0,0 +1,124 @@
+// Trash for tasks and subtasks. Deleting only sets `deletedAt` (models/plugins/softDelete.js);
+// restoring brings back the task with its subtasks and day-by-day history. The scheduled Lambda
+// (scheduler.js) purges whatever has been in the trash longer than TRASH_RETENTION_DAYS.
+const Task = require('../models/Task');
+const Subtask = require('../models/Subtask');
+const TaskInstance = require('../models/TaskInstance');
+const Reminder = require('../models/Reminder');
+const { rescheduleReminders } = require('./reminders');
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const BATCH_SIZE = Number(process.env.TRASH_BATCH_SIZE) || 200;
+
+// When a trashed document will be purged
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Trash a task. Its live subtasks and instances are trashed with the same timestamp, which is how
+// a restore tells them apart from subtasks that were trashed on their own earlier.
+const trashTask = async (task, now = new Date()) => {
+  task.deletedAt = now;
+  await task.save();
+  await Subtask.updateMany({ taskId: task._id, deletedAt: null }, { $set: { deletedAt: now } });
+  await TaskInstance.updateMany({ taskId: task._id, deletedAt: null }, { $set: { deletedAt: now } });
+  // Reminders sleep until the task is restored
+  await Reminder.updateMany({ taskId: task._id }, { $set: { nextRunAt: null, nextOccurrence: null } });
+  return task;
+};
+
+const restoreTask = async (task) => {
+  const { deletedAt } = task;
+  task.deletedAt = null;
+  await task.save();
+  await Subtask.updateMany({ taskId: task._id, deletedAt }, { $set: { deletedAt: null } });
+  await TaskInstance.updateMany({ taskId: task._id, deletedAt }, { $set: { deletedAt: null } });
+  await rescheduleReminders({ taskId: task._id });
+  return task;
+};
+
+// Delete a task and everything that belongs to it for good
+const purgeTask = async (taskId) => {
+  await Subtask.deleteMany({ taskId });
+  await TaskInstance.deleteMany({ taskId });
+  await Reminder.deleteMany({ taskId });
+  await Task.deleteOne({ _id: taskId });
+};
+
+// Task ID of a subtask whether or not taskId is populated
+const taskIdOf = (subtask) => subtask.populated('taskId') || subtask.taskId;
+
+// Trash one subtask. It leaves the task's checklist, and its entries in the task's instances are
+// parked in trashedSubtaskInstances so completion history survives a restore.
+const trashSubtask = async (subtask, now = new Date()) => {
+  const taskId = taskIdOf(subtask);
+  subtask.deletedAt = now;
+  await subtask.save();
+  await Task.updateOne({ _id: taskId }, { $pull: { subtasks: subtask._id } });
+
+  const instances = await TaskInstance.find({ taskId, 'subtaskInstances.subtaskId': subtask._id });
+  for (const instance of instances) {
+    const parked = instance.subtaskInstances.filter(si => si.subtaskId.equals(subtask._id));
+    instance.subtaskInstances = instance.subtaskInstances.filter(si => !si.subtaskId.equals(subtask._id));
+    instance.trashedSubtaskInstances.push(...parked.map(si => ({ subtaskId: si.subtaskId, completed: si.completed })));
+    await instance.save();
+  }
+  return subtask;
+};
+
+// Restore one subtask to the end of its task's checklist; the task must not be in the trash
+const restoreSubtask = async (subtask) => {
+  const taskId = taskIdOf(subtask);
+  subtask.deletedAt = null;
+  await subtask.save();
+  await Task.updateOne({ _id: taskId }, { $addToSet: { subtasks: subtask._id } });
+
+  const instances = await TaskInstance.find({ taskId, 'trashedSubtaskInstances.subtaskId': subtask._id });
+  for (const instance of instances) {
+    const parked = instance.trashedSubtaskInstances.find(si => si.subtaskId.equals(subtask._id));
+    instance.trashedSubtaskInstances = instance.trashedSubtaskInstances.filter(si => !si.subtaskId.equals(subtask._id));
+    if (!instance.subtaskInstances.some(si => si.subtaskId.equals(subtask._id))) {
+      instance.subtaskInstances.push({ subtaskId: parked.subtaskId, completed: parked.completed });
+    }
+    await instance.save();
+  }
+  return subtask;
+};
+
+const purgeSubtask = async (subtask) => {
+  const taskId = taskIdOf(subtask);
+  await TaskInstance.updateMany(
+    { taskId },
+    { $pull: { trashedSubtaskInstances: { subtaskId: subtask._id }, subtaskInstances: { subtaskId: subtask._id } } }
+  );
+  await Task.updateOne({ _id: taskId }, { $pull: { subtasks: subtask._id } });
+  await Subtask.deleteOne({ _id: subtask._id });
+};
+
+// Purge everything trashed before the retention cutoff. Returns counts.
+const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  const tasks = await Task.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id').limit(BATCH_SIZE);
+  for (const task of tasks) {
+    await purgeTask(task._id);
+  }
+
+  // Subtasks trashed on their own (those trashed with a task went with it above)
+  const subtasks = await Subtask.find({ deletedAt: { $ne: null, $lte: cutoff } }).limit(BATCH_SIZE);
+  for (const subtask of subtasks) {
+    await purgeSubtask(subtask);
+  }
+
+  return { tasks: tasks.length, subtasks: subtasks.length };
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeDate,
+  trashTask,
+  restoreTask,
+  purgeTask,
+  trashSubtask,
+  restoreSubtask,
+  purgeSubtask,
+  purgeExpiredTrash
+};
@@ -0,0 +1,137 @@
+// Outgoing webhooks: turns published events into signed deliveries and retries failed ones
+// with backoff. Every attempt, the first included, is made by the scheduled Lambda (scheduler.js),
+// so a slow receiver never holds up the request that published the event.
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { subscribe } = require('./events');
+const { getTransport } = require('./transports');
+
+// Wait before retry n (after attempt n fails); a delivery fails for good after the last one
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// How long an attempt holds a delivery so overlapping runs do not send it twice
+const CLAIM_MINUTES = 2;
+const BATCH_SIZE = Number(process.env.WEBHOOK_BATCH_SIZE) || 100;
+
+const minutesFrom = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+// Signature header value: "t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">".
+// Receivers recompute the HMAC with their secret and reject old timestamps.
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Make one attempt at a pending delivery that is due. Returns the updated delivery,
+// or null if it was not due or another run claimed it first.
+const attemptDelivery = async (deliveryId, now = new Date()) => {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: minutesFrom(now, CLAIM_MINUTES) } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    delivery.lastError = 'Webhook was disabled or deleted';
+    return delivery.save();
+  }
+
+  delivery.attempts += 1;
+  try {
+    const result = await getTransport('webhook').send({
+      url: webhook.url,
+      body: delivery.payload,
+      headers: {
+        'X-Organix-Event': delivery.event,
+        'X-Organix-Delivery': delivery._id.toString(),
+        'X-Organix-Signature': signPayload(webhook.secret, delivery.payload)
+      }
+    });
+    delivery.status = 'succeeded';
+    delivery.responseStatus = (result && result.status) || null;
+    delivery.deliveredAt = new Date();
+    delivery.lastError = null;
+  } catch (error) {
+    delivery.responseStatus = error.status || null;
+    delivery.lastError = error.message;
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+    } else {
+      delivery.nextAttemptAt = minutesFrom(now, RETRY_DELAYS_MINUTES[delivery.attempts - 1]);
+    }
+  }
+
+  return delivery.save();
+};
+
+// Create pending deliveries for every active webhook of the event's organization that wants it;
+// the next retryPendingDeliveries run sends them
+const enqueueEvent = async (event) => {
+  const webhooks = await Webhook.find({ organization: event.organization, active: true });
+  const targets = webhooks.filter(webhook => webhook.subscribesTo(event.type));
+  if (targets.length === 0) return [];
+
+  const payload = JSON.stringify({
+    id: event.id,
+    type: event.type,
+    createdAt: event.createdAt,
+    data: event.data
+  });
+
+  return WebhookDelivery.insertMany(targets.map(webhook => ({
+    webhookId: webhook._id,
+    organization: webhook.organization,
+    eventId: event.id,
+    event: event.type,
+    payload
+  })));
+};
+
+// Send a previous delivery's payload again as a new delivery
+const redeliver = async (delivery) => {
+  const copy = await WebhookDelivery.create({
+    webhookId: delivery.webhookId,
+    organization: delivery.organization,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id
+  });
+  return (await attemptDelivery(copy._id)) || copy;
+};
+
+// Send new deliveries and retry pending ones whose backoff has passed. Returns counts per outcome.
+const retryPendingDeliveries = async (now = new Date()) => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE)
+    .select('_id');
+
+  const summary = { due: due.length, succeeded: 0, failed: 0, pending: 0 };
+  for (const { _id } of due) {
+    try {
+      const delivery = await attemptDelivery(_id, now);
+      if (delivery) summary[delivery.status]++;
+    } catch (error) {
+      console.error('Webhook retry error:', _id.toString(), error);
+    }
+  }
+  return summary;
+};
+
+// Deliver published events to webhooks (called once at startup)
+const registerWebhookSubscriber = () => subscribe(enqueueEvent);
+
+module.exports = {
+  signPayload,
+  attemptDelivery,
+  enqueueEvent,
+  redeliver,
+  retryPendingDeliveries,
+  registerWebhookSubscriber
+};
@@ -0,0 +1,261 @@
+// Versioned JSON archives of a user's data (profile, labels, tasks, subtasks, task instances).
+// Calendar days are written as YYYY-MM-DD keys so archives do not depend on a time zone.
+
+const mongoose = require('mongoose');
+const { keyFromDate, dateFromKey, isValidDateKey } = require('./timezone');
+
+const BACKUP_FORMAT = 'organix-backup';
+
+// Bump when the archive layout changes and add a migration from the previous version
+const BACKUP_SCHEMA_VERSION = 2;
+
+// MIGRATIONS[n] upgrades an archive from schema version n to n + 1
+const MIGRATIONS = {
+  // v2: labels, and label IDs on tasks
+  1: (archive) => ({
+    ...archive,
+    labels: [],
+    tasks: (Array.isArray(archive.tasks) ? archive.tasks : []).map(task => ({ ...task, labels: [] }))
+  })
+};
+
+const dayKey = (date) => (date ? keyFromDate(date) : null);
+
+// Build an archive from a user, their labels, tasks (subtasks populated) and task instances
+const buildArchive = (user, labels, tasks, instances) => ({
+  format: BACKUP_FORMAT,
+  schemaVersion: BACKUP_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  profile: {
+    name: user.name,
+    email: user.email,
+    timezone: user.timezone
+  },
+  labels: labels.map(label => ({
+    id: label._id.toString(),
+    name: label.name,
+    color: label.color
+  })),
+  tasks: tasks.map(task => ({
+    id: task._id.toString(),
+    title: task.title,
+    completed: task.completed,
+    order: task.order,
+    priority: task.priority,
+    dueTime: task.dueTime || null,
+    startDate: dayKey(task.startDate),
+    endDate: dayKey(task.endDate),
+    recurrence: task.recurrence || null,
+    recurrenceExceptions: (task.recurrenceExceptions || []).map(dayKey),
+    externalUid: task.externalUid || null,
+    labels: (task.labels || []).map(id => id.toString()),
+    createdAt: task.createdAt,
+    updatedAt: task.updatedAt
+  })),
+  subtasks: tasks.flatMap(task => task.subtasks.map(subtask => ({
+    id: subtask._id.toString(),
+    taskId: task._id.toString(),
+    title: subtask.title,
+    completed: subtask.completed,
+    notes: subtask.notes || '',
+    createdAt: subtask.createdAt,
+    updatedAt: subtask.updatedAt
+  }))),
+  taskInstances: instances.map(instance => ({
+    taskId: instance.taskId.toString(),
+    date: dayKey(instance.date),
+    completed: instance.completed,
+    subtaskInstances: instance.subtaskInstances.map(si => ({
+      subtaskId: si.subtaskId.toString(),
+      completed: si.completed
+    })),
+    createdAt: instance.createdAt,
+    updatedAt: instance.updatedAt
+  }))
+});
+
+// Check the envelope and upgrade an archive to the current schema version.
+// Returns { error } or { archive }.
+const migrateArchive = (archive) => {
+  if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+    return { error: `Not an Organix backup (expected format "${BACKUP_FORMAT}")` };
+  }
+
+  let version = archive.schemaVersion;
+  if (!Number.isInteger(version) || version < 1) {
+    return { error: 'Backup has no valid schemaVersion' };
+  }
+  if (version > BACKUP_SCHEMA_VERSION) {
+    return { error: `Backup schema version ${version} is newer than supported version ${BACKUP_SCHEMA_VERSION}` };
+  }
+
+  let upgraded = archive;
+  while (version < BACKUP_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      return { error: `No migration from backup schema version ${version}` };
+    }
+    upgraded = migrate(upgraded);
+    version++;
+    upgraded.schemaVersion = version;
+  }
+
+  for (const key of ['labels', 'tasks', 'subtasks', 'taskInstances']) {
+    if (upgraded[key] === undefined) {
+      upgraded[key] = [];
+    }
+    if (!Array.isArray(upgraded[key])) {
+      return { error: `Backup field "${key}" must be an array` };
+    }
+  }
+
+  return { archive: upgraded };
+};
+
+const parseDay = (value, path, errors) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value !== 'string' || !isValidDateKey(value)) {
+    errors.push({ path, message: 'Must be a YYYY-MM-DD date' });
+    return null;
+  }
+  return dateFromKey(value);
+};
+
+// Turn an archive into documents for `userId` with fresh ObjectIds. References between
+// labels, tasks, subtasks and instances are remapped; dangling references are dropped and counted.
+// Labels whose name matches one in `existingLabels` (name -> _id) reuse that label.
+// Returns { labels, tasks, subtasks, taskInstances, skipped, errors } (plain objects, not yet validated
+// by Mongoose); labels, subtasks and instances carry `sourceIndex`, their position in the archive.
+const remapArchive = (archive, { userId, organization, existingLabels = new Map() }) => {
+  const errors = [];
+  const skipped = { subtasks: 0, taskInstances: 0 };
+  const labelIds = new Map();
+  const taskIds = new Map();
+  const subtaskIds = new Map();
+  const subtasksByTask = new Map();
+
+  const labels = [];
+  const labelsByName = new Map(existingLabels);
+  archive.labels.forEach((entry, index) => {
+    const name = entry && typeof entry.name === 'string' ? entry.name.trim() : '';
+    let _id = labelsByName.get(name);
+    if (!_id) {
+      _id = new mongoose.Types.ObjectId();
+      labelsByName.set(name, _id);
+      labels.push({ _id, name, color: entry && entry.color, userId, sourceIndex: index });
+    }
+    if (entry && entry.id !== undefined) {
+      labelIds.set(String(entry.id), _id);
+    }
+  });
+
+  const tasks = archive.tasks.map((entry, index) => {
+    const path = `tasks[${index}]`;
+    const _id = new mongoose.Types.ObjectId();
+    if (entry && entry.id !== undefined) {
+      if (taskIds.has(String(entry.id))) {
+        errors.push({ path: `${path}.id`, message: 'Duplicate task id' });
+      }
+      taskIds.set(String(entry.id), _id);
+    }
+    subtasksByTask.set(_id.toString(), []);
+
+    const task = entry || {};
+    return {
+      _id,
+      title: task.title,
+      completed: Boolean(task.completed),
+      order: Number.isFinite(task.order) ? task.order : 0,
+      priority: task.priority || undefined,
+      dueTime: task.dueTime || null,
+      startDate: parseDay(task.startDate, `${path}.startDate`, errors),
+      endDate: parseDay(task.endDate, `${path}.endDate`, errors),
+      recurrence: task.recurrence || null,
+      recurrenceExceptions: (Array.isArray(task.recurrenceExceptions) ? task.recurrenceExceptions : [])
+        .map((day, i) => parseDay(day, `${path}.recurrenceExceptions[${i}]`, errors))
+        .filter(Boolean),
+      externalUid: task.externalUid || null,
+      labels: [...new Set((Array.isArray(task.labels) ? task.labels : [])
+        .map(id => labelIds.get(String(id)))
+        .filter(Boolean))],
+      userId,
+      organization,
+      subtasks: []
+    };
+  });
+
+  const subtasks = [];
+  archive.subtasks.forEach((entry, index) => {
+    const taskId = entry && taskIds.get(String(entry.taskId));
+    if (!taskId) {
+      skipped.subtasks++;
+      return;
+    }
+
+    const _id = new mongoose.Types.ObjectId();
+    if (entry.id !== undefined) {
+      subtaskIds.set(String(entry.id), _id);
+    }
+    subtasksByTask.get(taskId.toString()).push(_id);
+    subtasks.push({
+      _id,
+      title: entry.title,
+      completed: Boolean(entry.completed),
+      notes: entry.notes || '',
+      taskId,
+      sourceIndex: index
+    });
+  });
+
+  for (const task of tasks) {
+    task.subtasks = subtasksByTask.get(task._id.toString());
+  }
+
+  const seenDays = new Set();
+  const taskInstances = [];
+  archive.taskInstances.forEach((entry, index) => {
+    const taskId = entry && taskIds.get(String(entry.taskId));
+    if (!taskId) {
+      skipped.taskInstances++;
+      return;
+    }
+
+    const date = parseDay(entry.date, `taskInstances[${index}].date`, errors);
+    if (!date) {
+      if (!entry.date) {
+        errors.push({ path: `taskInstances[${index}].date`, message: 'Date is required' });
+      }
+      return;
+    }
+
+    // One instance per task per day
+    const dayId = `${taskId}:${entry.date}`;
+    if (seenDays.has(dayId)) {
+      skipped.taskInstances++;
+      return;
+    }
+    seenDays.add(dayId);
+
+    taskInstances.push({
+      _id: new mongoose.Types.ObjectId(),
+      taskId,
+      userId,
+      date,
+      completed: Boolean(entry.completed),
+      subtaskInstances: (Array.isArray(entry.subtaskInstances) ? entry.subtaskInstances : [])
+        .filter(si => si && subtaskIds.has(String(si.subtaskId)))
+        .map(si => ({ subtaskId: subtaskIds.get(String(si.subtaskId)), completed: Boolean(si.completed) })),
+      sourceIndex: index
+    });
+  });
+
+  return { labels, tasks, subtasks, taskInstances, skipped, errors };
+};
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_SCHEMA_VERSION,
+  buildArchive,
+  migrateArchive,
+  remapArchive
+};
@@ -0,0 +1,82 @@
+// CSV helpers (RFC 4180): quoting for export, a small state machine for import.
+
+// Cells starting with these characters are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo escapeCell's formula guard, so exported files import back unchanged
+const unescapeCell = (value) => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+
+// Build a CSV document from column names and an array of row objects
+const toCSV = (columns, rows) => [
+  columns.map(escapeCell).join(','),
+  ...rows.map(row => columns.map(column => escapeCell(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+// Parse CSV text into an array of rows (arrays of strings). Throws on an unterminated quote.
+const parseCSV = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Parse CSV with a header row into objects keyed by header name
+const parseCSVWithHeader = (text) => {
+  const [header = [], ...rows] = parseCSV(text);
+  const columns = header.map(name => unescapeCell(name.trim()));
+  return {
+    columns,
+    records: rows.map(values => Object.fromEntries(columns.map((name, i) => [name, values[i] !== undefined ? unescapeCell(values[i]) : ''])))
+  };
+};
+
+module.exports = { toCSV, parseCSV, parseCSVWithHeader };
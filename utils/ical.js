@@ -0,0 +1,138 @@
+// iCalendar (RFC 5545) helpers: building feeds line by line and parsing uploads.
+
+const CRLF = '\r\n';
+
+// Escape a TEXT value (backslash, semicolon, comma, newline)
+const escapeText = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line to 75 octets, continuation lines start with a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+};
+
+// Stored calendar day (UTC midnight) -> DATE value, e.g. 20240501
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+// Instant -> UTC DATE-TIME value, e.g. 20240501T083000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Build a property line. `params` is an object of parameters, `value` is already formatted.
+const property = (name, value, params = {}) => {
+  const paramText = Object.entries(params)
+    .map(([key, val]) => `;${key}=${val}`)
+    .join('');
+  return foldLine(`${name}${paramText}:${value}`);
+};
+
+// Wrap property lines in BEGIN/END for a component
+const component = (type, lines) => [`BEGIN:${type}`, ...lines.filter(Boolean), `END:${type}`];
+
+// Assemble a complete VCALENDAR document
+const buildCalendar = (headerLines, components) => component('VCALENDAR', [
+  'VERSION:2.0',
+  ...headerLines,
+  ...components.flat()
+]).join(CRLF) + CRLF;
+
+// Reverse of escapeText
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Split "NAME;P1=a;P2=\"b:c\":value" into its parts, respecting quoted parameter values
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [];
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: (name || '').toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// Parse an iCalendar document into a tree of { type, properties, components }.
+// Throws an Error if the BEGIN/END structure is broken.
+const parseCalendar = (text) => {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const root = { type: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    const parsed = parseContentLine(line);
+    if (!parsed) {
+      throw new Error(`Malformed line ${index + 1}`);
+    }
+
+    const current = stack[stack.length - 1];
+    if (parsed.name === 'BEGIN') {
+      const child = { type: parsed.value.toUpperCase(), properties: [], components: [] };
+      current.components.push(child);
+      stack.push(child);
+    } else if (parsed.name === 'END') {
+      if (current.type !== parsed.value.toUpperCase()) {
+        throw new Error(`Unexpected END:${parsed.value} on line ${index + 1}`);
+      }
+      stack.pop();
+    } else {
+      current.properties.push(parsed);
+    }
+  });
+
+  if (stack.length !== 1) {
+    throw new Error(`Missing END:${stack[stack.length - 1].type}`);
+  }
+  return root.components;
+};
+
+// First property of a component with the given name
+const getProperty = (comp, name) => comp.properties.find(p => p.name === name) || null;
+
+// All properties of a component with the given name
+const getProperties = (comp, name) => comp.properties.filter(p => p.name === name);
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDate,
+  formatDateTime,
+  property,
+  component,
+  buildCalendar,
+  unescapeText,
+  parseCalendar,
+  getProperty,
+  getProperties
+};
@@ -0,0 +1,57 @@
+// Guards for outgoing requests to user-supplied URLs (webhook reminders and webhooks), so they
+// cannot reach the deployment's own network: loopback, private ranges, link-local addresses
+// (including cloud metadata at 169.254.169.254) and other non-public addresses.
+const net = require('net');
+const dns = require('dns').promises;
+
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+const LOCAL_HOSTNAMES = /^(localhost|.*\.localhost|.*\.local|.*\.internal)$/i;
+
+// Is `ip` (an IPv4 or IPv6 address) outside the public internet? IPv4-mapped IPv6 addresses
+// (::ffff:127.0.0.1) are checked against the IPv4 ranges by BlockList itself.
+const isPrivateAddress = (ip) => {
+  const family = net.isIP(ip);
+  if (!family) return true;
+  return blockList.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// URL hostname without the brackets around IPv6 literals
+const hostnameOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+// Quick check for validators: false for local names and private IP literals.
+// Names that resolve to private addresses are caught by assertPublicUrl when sending.
+const isPublicHostname = (url) => {
+  let hostname;
+  try {
+    hostname = hostnameOf(url);
+  } catch (error) {
+    return false;
+  }
+  if (LOCAL_HOSTNAMES.test(hostname)) return false;
+  return net.isIP(hostname) ? !isPrivateAddress(hostname) : true;
+};
+
+// Resolve the URL's host and throw unless every address it resolves to is public
+const assertPublicUrl = async (url) => {
+  const hostname = hostnameOf(url);
+  if (LOCAL_HOSTNAMES.test(hostname)) {
+    throw new Error(`Refusing to send to local host ${hostname}`);
+  }
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) {
+    throw new Error(`Refusing to send to non-public address ${blocked.address}`);
+  }
+};
+
+module.exports = { isPrivateAddress, isPublicHostname, assertPublicUrl };
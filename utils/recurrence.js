@@ -0,0 +1,306 @@
+// Minimal RFC 5545 RRULE support for day-granular tasks.
+//
+// Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT,
+// UNTIL, BYDAY (with ordinals for MONTHLY/YEARLY, e.g. 1MO or -1FR; YEARLY
+// rules without BYMONTH count them within the year, as in RFC 5545),
+// BYMONTHDAY, BYMONTH and WKST. Time-of-day parts are rejected because
+// tasks only have whole-day dates.
+//
+// Days are handled as "day numbers" (whole days since 1970-01-01) so the
+// arithmetic never depends on the server's time zone.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST'];
+
+// Upper bound for COUNT expansion so a sparse rule cannot loop forever
+const MAX_SCAN_DAYS = 366 * 50;
+
+const dayNumber = (year, month, day) => Math.floor(Date.UTC(year, month - 1, day) / MS_PER_DAY);
+
+const fromDayNumber = (num) => {
+  const date = new Date(num * MS_PER_DAY);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// 'YYYY-MM-DD' <-> day number
+const dayNumberFromKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return dayNumber(year, month, day);
+};
+
+const keyFromDayNumber = (num) => new Date(num * MS_PER_DAY).toISOString().split('T')[0];
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid UNTIL value "${value}"`);
+  }
+  return dayNumber(Number(match[1]), Number(match[2]), Number(match[3]));
+};
+
+const parseIntList = (value, name, min, max) => value.split(',').map(item => {
+  const num = Number(item);
+  if (!Number.isInteger(num) || num === 0 || Math.abs(num) < min || Math.abs(num) > max) {
+    throw new Error(`Invalid ${name} value "${item}"`);
+  }
+  return num;
+});
+
+// Parse an RRULE string (with or without the "RRULE:" prefix) into a rule object.
+// Throws an Error describing the first problem found.
+const parseRRule = (input) => {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new Error('Recurrence rule must be a non-empty string');
+  }
+
+  const text = input.trim().replace(/^RRULE:/i, '');
+  const rule = { interval: 1 };
+
+  for (const part of text.split(';')) {
+    if (!part) continue;
+
+    const [rawName, value] = part.split('=');
+    const name = rawName.toUpperCase();
+    if (!value) {
+      throw new Error(`Missing value for ${name}`);
+    }
+    if (!SUPPORTED_PARTS.includes(name)) {
+      throw new Error(`Unsupported recurrence part ${name}`);
+    }
+
+    switch (name) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value.toUpperCase())) {
+          throw new Error(`Unsupported FREQ "${value}"`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+          throw new Error('INTERVAL must be a positive integer');
+        }
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+          throw new Error('COUNT must be a positive integer');
+        }
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value.toUpperCase());
+        break;
+      case 'BYDAY':
+        rule.byDay = value.toUpperCase().split(',').map(item => {
+          const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+          if (!match) {
+            throw new Error(`Invalid BYDAY value "${item}"`);
+          }
+          const ordinal = match[1] ? Number(match[1]) : null;
+          if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 53)) {
+            throw new Error(`Invalid BYDAY value "${item}"`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntList(value, 'BYMONTHDAY', 1, 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntList(value, 'BYMONTH', 1, 12);
+        if (rule.byMonth.some(month => month < 0)) {
+          throw new Error('BYMONTH values must be positive');
+        }
+        break;
+      case 'WKST':
+        if (!WEEKDAYS.includes(value.toUpperCase())) {
+          throw new Error(`Invalid WKST value "${value}"`);
+        }
+        rule.weekStart = WEEKDAYS.indexOf(value.toUpperCase());
+        break;
+    }
+  }
+
+  if (!rule.freq) {
+    throw new Error('Recurrence rule must include FREQ');
+  }
+  if (rule.count && rule.until !== undefined) {
+    throw new Error('COUNT and UNTIL cannot be combined');
+  }
+  if (rule.byDay && rule.byDay.some(d => d.ordinal !== null) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new Error('BYDAY ordinals are only allowed with MONTHLY or YEARLY');
+  }
+  // Ordinals count within the month unless a YEARLY rule has no BYMONTH,
+  // and a month has at most 5 of each weekday
+  const withinMonth = rule.freq === 'MONTHLY' || Boolean(rule.byMonth);
+  if (rule.byDay && withinMonth && rule.byDay.some(d => d.ordinal !== null && Math.abs(d.ordinal) > 5)) {
+    throw new Error('BYDAY ordinals above 5 are only allowed with FREQ=YEARLY and no BYMONTH');
+  }
+
+  return rule;
+};
+
+// Returns an error message for an invalid rule, or null if it is usable
+const validateRRule = (input) => {
+  try {
+    parseRRule(input);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const matchesMonthDay = (byMonthDay, date) => {
+  const lastDay = daysInMonth(date.year, date.month);
+  return byMonthDay.some(d => (d > 0 ? d : lastDay + d + 1) === date.day);
+};
+
+// BYDAY within a month, honouring ordinals such as 2TU (second Tuesday) or -1FR (last Friday)
+const matchesMonthWeekday = (byDay, date) => {
+  const lastDay = daysInMonth(date.year, date.month);
+  const nthFromStart = Math.floor((date.day - 1) / 7) + 1;
+  const nthFromEnd = -(Math.floor((lastDay - date.day) / 7) + 1);
+
+  return byDay.some(({ weekday, ordinal }) => {
+    if (weekday !== date.weekday) return false;
+    if (ordinal === null) return true;
+    return ordinal > 0 ? ordinal === nthFromStart : ordinal === nthFromEnd;
+  });
+};
+
+// BYDAY within a year (YEARLY without BYMONTH): 1MO is the year's first
+// Monday, -1FR its last Friday
+const matchesYearWeekday = (byDay, date, target) => {
+  const dayOfYear = target - dayNumber(date.year, 1, 1) + 1;
+  const daysInYear = dayNumber(date.year + 1, 1, 1) - dayNumber(date.year, 1, 1);
+  const nthFromStart = Math.floor((dayOfYear - 1) / 7) + 1;
+  const nthFromEnd = -(Math.floor((daysInYear - dayOfYear) / 7) + 1);
+
+  return byDay.some(({ weekday, ordinal }) => {
+    if (weekday !== date.weekday) return false;
+    if (ordinal === null) return true;
+    return ordinal > 0 ? ordinal === nthFromStart : ordinal === nthFromEnd;
+  });
+};
+
+// Does `target` fit the rule's pattern, ignoring COUNT/UNTIL/exceptions?
+const matchesPattern = (rule, start, target) => {
+  const startDate = fromDayNumber(start);
+  const date = fromDayNumber(target);
+
+  if (rule.byMonth && !rule.byMonth.includes(date.month)) {
+    return false;
+  }
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      if ((target - start) % rule.interval !== 0) return false;
+      if (rule.byDay && !rule.byDay.some(d => d.weekday === date.weekday)) return false;
+      if (rule.byMonthDay && !matchesMonthDay(rule.byMonthDay, date)) return false;
+      return true;
+    }
+
+    case 'WEEKLY': {
+      const weekStart = rule.weekStart !== undefined ? rule.weekStart : 1;
+      const startOfWeek = num => num - ((fromDayNumber(num).weekday - weekStart + 7) % 7);
+      const weeks = (startOfWeek(target) - startOfWeek(start)) / 7;
+      if (weeks % rule.interval !== 0) return false;
+      const weekdays = rule.byDay ? rule.byDay.map(d => d.weekday) : [startDate.weekday];
+      return weekdays.includes(date.weekday);
+    }
+
+    case 'MONTHLY': {
+      const months = (date.year - startDate.year) * 12 + (date.month - startDate.month);
+      if (months % rule.interval !== 0) return false;
+      if (rule.byMonthDay || rule.byDay) {
+        if (rule.byMonthDay && !matchesMonthDay(rule.byMonthDay, date)) return false;
+        if (rule.byDay && !matchesMonthWeekday(rule.byDay, date)) return false;
+        return true;
+      }
+      return date.day === startDate.day;
+    }
+
+    case 'YEARLY': {
+      if ((date.year - startDate.year) % rule.interval !== 0) return false;
+      // BYDAY without BYMONTH spans the whole year
+      if (!rule.byMonth && rule.byDay) {
+        if (rule.byMonthDay && !matchesMonthDay(rule.byMonthDay, date)) return false;
+        return matchesYearWeekday(rule.byDay, date, target);
+      }
+      if (!rule.byMonth && date.month !== startDate.month) return false;
+      if (rule.byMonthDay || rule.byDay) {
+        if (rule.byMonthDay && !matchesMonthDay(rule.byMonthDay, date)) return false;
+        if (rule.byDay && !matchesMonthWeekday(rule.byDay, date)) return false;
+        return true;
+      }
+      return date.day === startDate.day;
+    }
+
+    default:
+      return false;
+  }
+};
+
+// Does the rule produce an occurrence on `target`? All arguments are day numbers,
+// `exceptions` is an optional array of excluded day numbers (EXDATE).
+const occursOn = (rule, start, target, exceptions = []) => {
+  if (target < start) return false;
+  if (rule.until !== undefined && target > rule.until) return false;
+  if (exceptions.includes(target)) return false;
+  if (!matchesPattern(rule, start, target)) return false;
+
+  if (rule.count) {
+    // COUNT includes excluded dates, as in RFC 5545
+    let seen = 0;
+    const limit = Math.min(target, start + MAX_SCAN_DAYS);
+    for (let day = start; day <= limit; day++) {
+      if (matchesPattern(rule, start, day)) {
+        seen++;
+        if (seen > rule.count) return false;
+      }
+    }
+  }
+
+  return true;
+};
+
+// List every occurrence between `from` and `to` (inclusive day numbers)
+const expandOccurrences = (rule, start, from, to, exceptions = []) => {
+  const occurrences = [];
+  let seen = 0;
+
+  const first = rule.count ? start : Math.max(start, from);
+  const last = rule.until !== undefined ? Math.min(to, rule.until) : to;
+
+  for (let day = first; day <= last; day++) {
+    if (!matchesPattern(rule, start, day)) continue;
+    seen++;
+    if (rule.count && seen > rule.count) break;
+    if (day >= from && !exceptions.includes(day)) {
+      occurrences.push(day);
+    }
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  parseRRule,
+  validateRRule,
+  occursOn,
+  expandOccurrences,
+  dayNumber,
+  fromDayNumber,
+  dayNumberFromKey,
+  keyFromDayNumber
+};
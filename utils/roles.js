@@ -0,0 +1,62 @@
+// Roles and the permissions they grant. Roles are ordered: each one includes everything the
+// roles before it can do. Super-admins (User.isSuperAdmin) hold every permission in every
+// organization; everyone else acts within their own organization (see middleware/admin.js).
+const ROLES = ['member', 'manager', 'admin', 'owner'];
+
+const ROLE_PERMISSIONS = {
+  member: [],
+  manager: [
+    'users.view',
+    'analytics.view',
+    'data.export',
+    'tasks.assign',
+    'groups.manage'
+  ],
+  admin: [
+    'users.manage',
+    'users.delete',
+    'whitelist.manage',
+    'resetCodes.issue',
+    'webhooks.manage',
+    'audit.view',
+    'roles.manage'
+  ],
+  // Owners can also grant and revoke the owner role
+  owner: []
+};
+
+// Every permission of a role, including those of the roles below it
+const permissionsFor = (role) => {
+  const rank = ROLES.indexOf(role);
+  return ROLES.slice(0, rank + 1).flatMap(r => ROLE_PERMISSIONS[r]);
+};
+
+const PERMISSIONS = [...new Set(ROLES.flatMap(r => ROLE_PERMISSIONS[r]))];
+
+const roleRank = (role) => ROLES.indexOf(role);
+
+// Whether a user holds a permission
+const hasPermission = (user, permission) => Boolean(user) &&
+  (user.isSuperAdmin || permissionsFor(user.role || 'member').includes(permission));
+
+// Whether `actor` may give `role` to, or take a role from, `target` (a user, or null when only
+// the role matters). Owners manage every role including owner; admins manage roles below admin.
+const canManageRole = (actor, role, target = null) => {
+  if (actor.isSuperAdmin) return true;
+  if (!hasPermission(actor, 'roles.manage')) return false;
+
+  const limit = actor.role === 'owner' ? roleRank('owner') : roleRank(actor.role) - 1;
+  if (roleRank(role) > limit) return false;
+  if (target && (target.isSuperAdmin || roleRank(target.role) > limit)) return false;
+  return true;
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  PERMISSIONS,
+  permissionsFor,
+  roleRank,
+  hasPermission,
+  canManageRole
+};
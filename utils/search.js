@@ -0,0 +1,64 @@
+// Helpers for full-text search results: query terms and highlighted snippets.
+
+const SNIPPET_RADIUS = 60;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words a $text query looks for, minus negated terms ("-word"). Phrases are split into words.
+const searchTerms = (query) => String(query)
+  .replace(/(^|\s)-("[^"]*"|\S+)/g, ' ')
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(term => term.length > 1)
+  .map(term => term.toLowerCase());
+
+// Rough English stem ("running" -> "run", "reports" -> "report"). MongoDB stems the words it
+// indexes, so highlights compare on stems to mark the words the text index matched.
+const stem = (term) => {
+  const base = term.replace(/(ing|edly|ed|es|ly|er|s)$/, '');
+  if (base.length < 3) return term;
+  return base.replace(/([^aeiou])\1$/, '$1');
+};
+
+// Regex matching words that start with the stem of a term
+const termPattern = (terms) => {
+  if (terms.length === 0) return null;
+  const prefixes = terms.map(term => escapeRegExp(stem(term)));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${prefixes.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+};
+
+// Cut a window of text around the first term match.
+// Returns { text, highlights: [[start, end], ...] } with offsets into `text`, or null when nothing matches.
+const buildSnippet = (value, terms, radius = SNIPPET_RADIUS) => {
+  const source = String(value || '').replace(/\s+/g, ' ').trim();
+  const pattern = termPattern(terms);
+  if (!source || !pattern) return null;
+
+  const first = pattern.exec(source);
+  if (!first) return null;
+
+  let start = Math.max(0, first.index - radius);
+  let end = Math.min(source.length, first.index + first[0].length + radius);
+
+  // Do not cut words in half
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    start = space !== -1 && space < first.index ? space + 1 : start;
+  }
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    end = space > first.index + first[0].length ? space : end;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+  const window = source.slice(start, end);
+
+  const highlights = [];
+  for (const match of window.matchAll(termPattern(terms))) {
+    highlights.push([prefix.length + match.index, prefix.length + match.index + match[0].length]);
+  }
+
+  return { text: `${prefix}${window}${suffix}`, highlights };
+};
+
+module.exports = { searchTerms, buildSnippet };
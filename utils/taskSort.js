@@ -0,0 +1,47 @@
+// Priority levels and the sort modes offered on task listings (?sort=manual|priority|due).
+
+// Lowest to highest
+const PRIORITY_LEVELS = ['none', 'low', 'medium', 'high', 'urgent'];
+
+const SORT_MODES = ['manual', 'priority', 'due'];
+
+// Due times are stored as "HH:mm", so they compare as strings
+const DUE_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const priorityRank = (priority) => Math.max(PRIORITY_LEVELS.indexOf(priority || 'none'), 0);
+
+// Manual order first, then newest (the order listings have always used)
+const byManualOrder = (a, b) => ((a.order || 0) - (b.order || 0)) || (new Date(b.createdAt) - new Date(a.createdAt));
+
+const byPriority = (a, b) => priorityRank(b.priority) - priorityRank(a.priority);
+
+// Tasks without a due time go last
+const byDueTime = (a, b) => {
+  if (a.dueTime === b.dueTime) return 0;
+  if (!a.dueTime) return 1;
+  if (!b.dueTime) return -1;
+  return a.dueTime < b.dueTime ? -1 : 1;
+};
+
+const COMPARATORS = {
+  manual: [byManualOrder],
+  priority: [byPriority, byDueTime, byManualOrder],
+  due: [byDueTime, byPriority, byManualOrder]
+};
+
+// Sort tasks (or anything carrying priority/dueTime/order/createdAt) in place and return them.
+// `getTask` picks the task out of each item, e.g. a populated instance.
+const sortTasks = (items, mode = 'manual', getTask = item => item) => {
+  const comparators = COMPARATORS[mode] || COMPARATORS.manual;
+  return items.sort((a, b) => {
+    const taskA = getTask(a);
+    const taskB = getTask(b);
+    for (const compare of comparators) {
+      const result = compare(taskA, taskB);
+      if (result !== 0) return result;
+    }
+    return 0;
+  });
+};
+
+module.exports = { PRIORITY_LEVELS, SORT_MODES, DUE_TIME_PATTERN, priorityRank, sortTasks };
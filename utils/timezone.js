@@ -0,0 +1,144 @@
+// Time zone helpers.
+//
+// Calendar days ("date keys", YYYY-MM-DD) are stored as UTC midnight so a
+// stored day never shifts when the server or the user changes zone. Anything
+// that depends on "now" (today, current time of day) is resolved in the
+// user's IANA time zone.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in the given zone
+const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+};
+
+const pad = (num) => String(num).padStart(2, '0');
+
+const isValidDateKey = (key) => {
+  if (typeof key !== 'string' || !DATE_KEY_PATTERN.test(key)) return false;
+  const date = dateFromKey(key);
+  return !isNaN(date.getTime()) && keyFromDate(date) === key;
+};
+
+// 'YYYY-MM-DD' -> UTC midnight Date (the stored form of a calendar day)
+const dateFromKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+// Stored calendar Date -> 'YYYY-MM-DD'
+const keyFromDate = (date) => new Date(date).toISOString().split('T')[0];
+
+// Calendar day of an instant as seen in the given zone
+const dateKeyInZone = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+const todayInZone = (timeZone = DEFAULT_TIMEZONE) => dateKeyInZone(new Date(), timeZone);
+
+const addDays = (key, days) => keyFromDate(new Date(dateFromKey(key).getTime() + days * MS_PER_DAY));
+
+// Offset (ms) of the zone from UTC at the given instant
+const getTimeZoneOffset = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// UTC instant of a wall-clock time ('HH:mm', default midnight) on a calendar day in the zone
+const zonedTimeToUtc = (key, time = '00:00', timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = key.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Two passes settle the offset around DST transitions
+  let utc = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  utc = wallClock - getTimeZoneOffset(utc, timeZone);
+  return new Date(utc);
+};
+
+// Normalize a client-supplied date (date key or timestamp) to a stored calendar day.
+// Timestamps are interpreted in the user's zone so "midnight in Kolkata" stays on its day.
+const toCalendarDate = (value, timeZone = DEFAULT_TIMEZONE) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'string' && DATE_KEY_PATTERN.test(value)) {
+    return dateFromKey(value);
+  }
+  return dateFromKey(dateKeyInZone(value, timeZone));
+};
+
+// Resolve optional ?from=&to= date keys into an inclusive range of calendar days.
+// Defaults to the `defaultDays` days ending today in the given zone.
+// Returns { error } or { from, to } (both YYYY-MM-DD keys).
+const resolveDateRange = ({ from, to }, timeZone = DEFAULT_TIMEZONE, { defaultDays = 30, maxDays = 731 } = {}) => {
+  if ((from && !isValidDateKey(from)) || (to && !isValidDateKey(to))) {
+    return { error: 'Invalid date range. Use YYYY-MM-DD for from and to' };
+  }
+
+  const end = to || todayInZone(timeZone);
+  const start = from || addDays(end, -(defaultDays - 1));
+
+  if (start > end) {
+    return { error: 'The from date must be on or before the to date' };
+  }
+
+  const span = (dateFromKey(end) - dateFromKey(start)) / MS_PER_DAY + 1;
+  if (span > maxDays) {
+    return { error: `Date range cannot exceed ${maxDays} days` };
+  }
+
+  return { from: start, to: end };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  isValidDateKey,
+  getZonedParts,
+  dateFromKey,
+  keyFromDate,
+  dateKeyInZone,
+  todayInZone,
+  addDays,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  toCalendarDate,
+  resolveDateRange
+};
@@ -0,0 +1,83 @@
+const { body, query } = require('express-validator');
+const { validateRRule } = require('../utils/recurrence');
+const { toCalendarDate } = require('../utils/timezone');
+const { PRIORITY_LEVELS, SORT_MODES, DUE_TIME_PATTERN } = require('../utils/taskSort');
+
+// Custom validator for optional RRULE strings
+const isValidRecurrence = (value) => {
+  const error = validateRRule(value);
+  if (error) {
+    throw new Error(`Invalid recurrence rule: ${error}`);
+  }
+  return true;
+};
+
+// Field rules for creating a task, shared by every route (and importer) that creates one
+const taskCreateValidators = [
+  body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title must be 1-200 characters'),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('recurrence').optional({ values: 'null' }).custom(isValidRecurrence),
+  body('recurrenceExceptions').optional().isArray().withMessage('Recurrence exceptions must be an array of dates'),
+  body('recurrenceExceptions.*').isISO8601().withMessage('Recurrence exceptions must be valid dates'),
+  body('priority').optional().isIn(PRIORITY_LEVELS).withMessage(`Priority must be one of: ${PRIORITY_LEVELS.join(', ')}`),
+  body('dueTime').optional({ values: 'null' }).matches(DUE_TIME_PATTERN).withMessage('Due time must be in HH:mm format')
+];
+
+// Label IDs attached to a task on create/update (ownership is checked by the route)
+const taskLabelValidators = [
+  body('labels').optional().isArray().withMessage('Labels must be an array of label IDs'),
+  body('labels.*').isMongoId().withMessage('Labels must be valid label IDs')
+];
+
+// ?tags=work,health&tagMode=all|any and ?sort=manual|priority|due on task listings
+const taskListValidators = [
+  query('tags').optional().isString().isLength({ max: 500 }).withMessage('Tags must be a comma-separated list of label names'),
+  query('tagMode').optional().isIn(['all', 'any']).withMessage('Tag mode must be all or any'),
+  query('sort').optional().isIn(SORT_MODES).withMessage(`Sort must be one of: ${SORT_MODES.join(', ')}`)
+];
+
+// Cross-field date rules for a new task. Dates are calendar days in `timezone`.
+// Returns { error } or { fields } holding the date fields to store on the task.
+const resolveTaskDates = ({ startDate, endDate, recurrence, recurrenceExceptions }, timezone) => {
+  const start = toCalendarDate(startDate, timezone);
+  const end = toCalendarDate(endDate, timezone);
+
+  // Validate date range if both dates are provided
+  if (start && end && end < start) {
+    return { error: 'End date must be after or equal to start date' };
+  }
+
+  // Recurring tasks need a start date; the end date is optional for them
+  if (recurrence && !start) {
+    return { error: 'Recurring tasks require a start date' };
+  }
+
+  // Validate that if one date is provided, both should be provided
+  if (!recurrence && ((start && !end) || (!start && end))) {
+    return { error: 'Both start date and end date must be provided together, or leave both empty for static tasks' };
+  }
+
+  const fields = {};
+
+  // Only add dates if both are provided, or if the task recurs
+  if (start) {
+    fields.startDate = start;
+    fields.endDate = end;
+  }
+
+  if (recurrence) {
+    fields.recurrence = recurrence;
+    fields.recurrenceExceptions = (recurrenceExceptions || []).map(date => toCalendarDate(date, timezone));
+  }
+
+  return { fields };
+};
+
+module.exports = {
+  isValidRecurrence,
+  taskCreateValidators,
+  taskLabelValidators,
+  taskListValidators,
+  resolveTaskDates
+};